@@ -0,0 +1,204 @@
+/**
+ * Analysis Core - headless face analysis engine
+ *
+ * Everything between the detector output and the report: pixel metrics,
+ * burst consolidation, geometry, face shape and region scores. No DOM, no
+ * canvas, no network and no module state, so the same code runs in the
+ * browser (script.js drives it for camera and upload) and in Node (batch
+ * tools, fixture checks). Frames are ImageData, any { data, width, height }
+ * lookalike, or a canvas / OffscreenCanvas (read once with getImageData);
+ * landmarks are the FaceMesh points in frame pixels.
+ */
+
+import { calculateTextureMetric, calculateOilinessMetric, calculateBeardMetric, DEFAULT_THRESHOLDS } from './metrics.js';
+import { extractRegions } from './regions.js';
+import { analyzeGeometry } from './geometry.js';
+import { classifyFaceShape } from './faceShape.js';
+import { combineSamples } from './burst.js';
+import { computeRegionScores } from './heatmap.js';
+import { landmarkBox } from './faces.js';
+
+/**
+ * @typedef {{ data: Uint8ClampedArray, width: number, height: number }} Pixels
+ *   ImageData or a plain object with the same fields (RGBA, row-major)
+ * @typedef {Pixels|HTMLCanvasElement|OffscreenCanvas} FrameInput
+ *   anything with getContext('2d') is read into Pixels first
+ * @typedef {number[]} Landmark  [x, y, z] in frame pixels
+ * @typedef {{ symmetry: number, texture: number, oiliness: number, beardDensity: number }} Metrics
+ *   0-100 scores
+ * @typedef {{ mean: number, std: number, confidence: number|null, samples: number }} Spread
+ *   see summarizeScores in burst.js
+ *
+ * @typedef {Object} AnalysisState  the report model (what updateUI, history and exports read)
+ * @property {number} symmetry
+ * @property {number} texture
+ * @property {number} oiliness
+ * @property {number} beardDensity
+ * @property {Object<string, Spread>} spread  per metric, across the burst
+ * @property {{ kept: number, dropped: number }} frames
+ * @property {Object|null} geometry  analyzeGeometry (geometry.js)
+ * @property {Object|null} faceShape  classifyFaceShape (faceShape.js)
+ * @property {Object|null} [ai]  server response, set by mergeAiAnalysis
+ * @property {string|null} [aiFaceShape]
+ * @property {{ symmetry: number, skinQuality: number }|null} [aiScores]
+ *
+ * @typedef {Object} FaceAnalysis
+ * @property {Pixels} frame  representative frame of the burst (display, crop, overlays)
+ * @property {{ x: number, y: number, width: number, height: number }} box  landmark bounding box
+ * @property {Object} face  { keypoints, landmarks, regions, regionScores } for the renderers
+ * @property {AnalysisState} state
+ */
+
+// Per-frame scores that get averaged across a burst
+export const METRIC_KEYS = ['symmetry', 'texture', 'oiliness', 'beardDensity'];
+
+// Burst defaults match burst.js; callers pass their own CONFIG.burst
+export const DEFAULT_OPTIONS = {
+    thresholds: DEFAULT_THRESHOLDS,
+    burst: { factor: 2.5, minDeviation: 0.01, penalty: 5 }
+};
+
+/**
+ * Landmarks of one detector prediction as [x, y, z] arrays.
+ * Handles the current API ({ keypoints: [{ x, y, z }] }), the legacy one
+ * ({ scaledMesh }), stored faces ({ landmarks }) and bare landmark lists.
+ * Null when there are none.
+ */
+export function getLandmarks(face) {
+    if (!face) return null;
+    if (Array.isArray(face)) return face;
+    if (face.keypoints) return face.keypoints.map(p => [p.x, p.y, p.z || 0]);
+    return face.scaledMesh || face.landmarks || null;
+}
+
+/**
+ * Pixels of a frame: ImageData-like objects pass through, a canvas (DOM or
+ * OffscreenCanvas) is read whole. Other sources (video, ImageBitmap) must be
+ * drawn on a canvas by the caller first.
+ * @param {FrameInput} frame
+ * @returns {Pixels}
+ */
+export function toPixels(frame) {
+    if (frame?.data) return frame;
+    if (typeof frame?.getContext === 'function') {
+        return frame.getContext('2d').getImageData(0, 0, frame.width, frame.height);
+    }
+    throw new TypeError('Expected ImageData-like pixels or a canvas');
+}
+
+function averageScore(values) {
+    if (values.length === 0) return 0;
+    return Math.round(values.reduce((a, b) => a + b, 0) / values.length);
+}
+
+/**
+ * Local metrics for ONE frame, using that frame's own landmarks.
+ * @param {FrameInput} input
+ * @param {Landmark[]} landmarks
+ * @returns {{ regions: Object, metrics: Metrics }}
+ */
+export function analyzeFrame(input, landmarks, { thresholds = DEFAULT_OPTIONS.thresholds } = {}) {
+    const frame = toPixels(input);
+
+    // Masked facial zones (polygon masks over the full frame)
+    const regions = extractRegions(frame, landmarks);
+
+    // Symmetry (pose-corrected mirror comparison of paired landmarks)
+    const geometry = analyzeGeometry(landmarks);
+    const symmetry = geometry ? geometry.symmetryScore : 0;
+
+    // Texture (Laplacian high-frequency energy, averaged over both cheeks)
+    const cheeks = [regions.leftCheek.pixels, regions.rightCheek.pixels].filter(Boolean);
+    const texture = averageScore(cheeks.map(px => calculateTextureMetric(px)));
+
+    // Oiliness (specular highlights on the forehead)
+    const oiliness = calculateOilinessMetric(regions.forehead.pixels, thresholds);
+
+    // Beard (dark coverage on the chin vs each cheek's bare skin)
+    const skinRefs = cheeks.length > 0 ? cheeks : [null];
+    const beardDensity = averageScore(
+        skinRefs.map(px => calculateBeardMetric(regions.chin.pixels, px, thresholds))
+    );
+
+    return { regions, metrics: { symmetry, texture, oiliness, beardDensity } };
+}
+
+/**
+ * Full local analysis of one face.
+ * `samples` is that face in one or more frames ([{ frame, landmarks }], e.g.
+ * a burst; `metrics` is computed when missing). Outlier frames are dropped,
+ * scores averaged with their spread, and geometry/shape come from the
+ * averaged landmarks.
+ * @param {{ frame: FrameInput, landmarks: Landmark[], metrics?: Metrics }[]} samples
+ * @returns {FaceAnalysis}
+ */
+export function analyzeFace(samples, { thresholds = DEFAULT_OPTIONS.thresholds, burst = DEFAULT_OPTIONS.burst } = {}) {
+    if (!samples || samples.length === 0) throw new Error('analyzeFace needs at least one sample');
+
+    const measured = samples.map(s => {
+        const frame = toPixels(s.frame);
+        return { ...s, frame, metrics: s.metrics || analyzeFrame(frame, s.landmarks, { thresholds }).metrics };
+    });
+    const combined = combineSamples(measured, METRIC_KEYS, burst);
+    const frame = combined.representative.frame;
+    const landmarks = combined.landmarks;
+
+    // Face object shared by the overlay, heatmap, try-on and history
+    const regions = extractRegions(frame, landmarks);
+    const face = {
+        keypoints: landmarks.map(([x, y, z]) => ({ x, y, z })),
+        landmarks,
+        regions,
+        regionScores: computeRegionScores(regions, thresholds)
+    };
+
+    const state = {};
+    METRIC_KEYS.forEach(key => { state[key] = combined.scores[key].mean; });
+    Object.assign(state, {
+        spread: combined.scores,
+        frames: { kept: combined.kept, dropped: combined.dropped },
+        geometry: analyzeGeometry(landmarks),
+        // Offline classifier, cross-checked against the AI in the report
+        faceShape: classifyFaceShape(landmarks)
+    });
+
+    return { frame, box: landmarkBox(landmarks), face, state };
+}
+
+/**
+ * Every face of a single still image (no burst), in detector order.
+ * `predictions` are detector outputs or bare landmark lists.
+ * @param {FrameInput} input
+ * @returns {FaceAnalysis[]}
+ */
+export function analyzeImage(input, predictions, options = {}) {
+    const frame = toPixels(input);
+    return predictions
+        .map(getLandmarks)
+        .filter(Boolean)
+        .map(landmarks => analyzeFace([{ frame, landmarks }], options));
+}
+
+/**
+ * Folds the server's AI report into an AnalysisState (mutates `state`).
+ * The AI symmetry score is blended with the measured one; the rest of the
+ * AI report is kept alongside for display. `data` null = no AI result.
+ */
+export function mergeAiAnalysis(data, state) {
+    state.ai = data;
+    state.aiFaceShape = data ? data.formato_rosto : null;
+
+    if (!data) {
+        state.aiScores = null;
+        return state;
+    }
+
+    // The server validates the schema and sends 0-10 numbers, we map to 0-100
+    const aiSymmetry = Math.round(data.simetria.nota * 10);
+    state.aiScores = {
+        symmetry: aiSymmetry,
+        skinQuality: Math.round(data.qualidade_pele.nota * 10)
+    };
+    state.symmetry = Math.round((state.symmetry + aiSymmetry) / 2);
+    return state;
+}
@@ -0,0 +1,105 @@
+/**
+ * Burst Capture - combine several frames into one stable result
+ *
+ * Each sample is { frame, landmarks, metrics } from one captured frame.
+ * Frames whose landmarks disagree with the rest are dropped, the remaining
+ * landmarks and metrics are averaged and each score gets a spread/confidence.
+ */
+
+function meanLandmarks(list) {
+    const n = list.length;
+    return list[0].map((_, i) => {
+        const sum = [0, 0, 0];
+        list.forEach(lm => {
+            sum[0] += lm[i][0]; sum[1] += lm[i][1]; sum[2] += lm[i][2] || 0;
+        });
+        return [sum[0] / n, sum[1] / n, sum[2] / n];
+    });
+}
+
+function faceWidth(landmarks) {
+    let min = Infinity, max = -Infinity;
+    landmarks.forEach(p => { if (p[0] < min) min = p[0]; if (p[0] > max) max = p[0]; });
+    return Math.max(max - min, 1);
+}
+
+// Mean point distance to `reference`, relative to face width
+function deviation(landmarks, reference) {
+    let sum = 0;
+    for (let i = 0; i < landmarks.length; i++) {
+        sum += Math.hypot(landmarks[i][0] - reference[i][0], landmarks[i][1] - reference[i][1]);
+    }
+    return sum / landmarks.length / faceWidth(reference);
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Drops frames whose landmarks sit far from the burst median
+ * (more than `factor` x the median deviation and above `minDeviation`).
+ * Always keeps at least half of the samples.
+ */
+export function rejectOutliers(samples, { factor = 2.5, minDeviation = 0.01 } = {}) {
+    if (samples.length < 3) return samples;
+
+    const reference = meanLandmarks(samples.map(s => s.landmarks));
+    const devs = samples.map(s => deviation(s.landmarks, reference));
+    const limit = Math.max(median(devs) * factor, minDeviation);
+
+    const ranked = samples
+        .map((s, i) => ({ s, dev: devs[i] }))
+        .sort((a, b) => a.dev - b.dev);
+    const keepMin = Math.ceil(samples.length / 2);
+    return ranked.filter((r, i) => i < keepMin || r.dev <= limit).map(r => r.s);
+}
+
+/**
+ * Mean, standard deviation and a 0-100 confidence per numeric score.
+ * Confidence drops by `penalty` points per unit of standard deviation.
+ */
+export function summarizeScores(list, keys, penalty = 5) {
+    const summary = {};
+    keys.forEach(key => {
+        const values = list.map(m => m[key]).filter(v => typeof v === 'number' && isFinite(v));
+        if (values.length === 0) {
+            summary[key] = { mean: 0, std: 0, confidence: 0, samples: 0 };
+            return;
+        }
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const variance = values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length;
+        const std = Math.sqrt(variance);
+        summary[key] = {
+            mean: Math.round(mean),
+            std: Math.round(std * 10) / 10,
+            confidence: values.length > 1 ? Math.max(0, Math.min(100, Math.round(100 - std * penalty))) : null,
+            samples: values.length
+        };
+    });
+    return summary;
+}
+
+/**
+ * Full burst consolidation.
+ * Returns { landmarks, representative, kept, dropped, scores } where
+ * `representative` is the kept sample closest to the averaged landmarks:
+ * its frame is the one displayed, overlaid and sent to the server.
+ */
+export function combineSamples(samples, keys, options = {}) {
+    const kept = rejectOutliers(samples, options);
+    const landmarks = meanLandmarks(kept.map(s => s.landmarks));
+    const representative = kept.reduce((best, s) =>
+        deviation(s.landmarks, landmarks) < deviation(best.landmarks, landmarks) ? s : best
+    );
+
+    return {
+        landmarks,
+        representative,
+        kept: kept.length,
+        dropped: samples.length - kept.length,
+        scores: summarizeScores(kept.map(s => s.metrics), keys, options.penalty)
+    };
+}
@@ -0,0 +1,62 @@
+/**
+ * Camera Controller - webcam stream and mirrored frame grabs
+ *
+ * Frames are drawn flipped (selfie view) so the pixels match the detector's
+ * flipHorizontal keypoints and what the user sees on screen.
+ */
+
+/**
+ * Starts the front camera on `video` and resolves once its size is known.
+ * Must run inside the user gesture chain on iOS.
+ */
+export async function openCamera(video, { width, height } = {}) {
+    const stream = await navigator.mediaDevices.getUserMedia({
+        video: {
+            width: { ideal: width },
+            height: { ideal: height },
+            facingMode: 'user'
+        },
+        audio: false
+    });
+    video.srcObject = stream;
+    if (video.readyState < 1) {
+        await new Promise(resolve => video.addEventListener('loadedmetadata', resolve, { once: true }));
+    }
+    return stream;
+}
+
+// One mirrored video frame through `ctx` (a scratch 2D context), resized to the video
+export function grabMirroredFrame(video, ctx) {
+    const w = video.videoWidth, h = video.videoHeight;
+    if (!w || !h) return null;
+    const canvas = ctx.canvas;
+    if (canvas.width !== w || canvas.height !== h) {
+        canvas.width = w;
+        canvas.height = h;
+    }
+    ctx.save();
+    ctx.scale(-1, 1);
+    ctx.drawImage(video, -w, 0, w, h);
+    ctx.restore();
+    return ctx.getImageData(0, 0, w, h);
+}
+
+/**
+ * Grabs `count` mirrored frames `intervalMs` apart (a burst).
+ * `onFrame(frame, index)` runs as each one arrives.
+ */
+export function captureBurst(video, ctx, { count = 1, intervalMs = 0, onFrame = () => {} } = {}) {
+    const frames = [];
+    return new Promise(resolve => {
+        const grab = () => {
+            const frame = grabMirroredFrame(video, ctx);
+            if (frame) {
+                frames.push(frame);
+                onFrame(frame, frames.length - 1);
+            }
+            if (frames.length >= count || !frame) resolve(frames);
+            else setTimeout(grab, intervalMs);
+        };
+        grab();
+    });
+}
@@ -0,0 +1,58 @@
+/**
+ * Server-Sent Events over fetch
+ *
+ * EventSource only does GET, the analysis stream is a POST with the photo,
+ * so the response body is parsed here instead.
+ */
+
+// Parses one "event: x\ndata: y" block. Data lines are joined with \n as the
+// spec says; JSON payloads are decoded, anything else is passed as text.
+function parseBlock(block) {
+    let event = 'message';
+    const data = [];
+    block.split('\n').forEach(line => {
+        if (line.startsWith(':')) return; // comment / keep-alive
+        const sep = line.indexOf(':');
+        const field = sep === -1 ? line : line.slice(0, sep);
+        const value = sep === -1 ? '' : line.slice(sep + 1).replace(/^ /, '');
+        if (field === 'event') event = value;
+        else if (field === 'data') data.push(value);
+    });
+    if (data.length === 0) return null;
+
+    const raw = data.join('\n');
+    try {
+        return { event, data: JSON.parse(raw) };
+    } catch (e) {
+        return { event, data: raw };
+    }
+}
+
+/**
+ * Reads `response.body` until the stream ends, calling onEvent(event, data)
+ * for every complete event. Aborting the fetch rejects with an AbortError.
+ */
+export async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+        buffer = buffer.replace(/\r\n/g, '\n');
+
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const parsed = parseBlock(buffer.slice(0, end));
+            buffer = buffer.slice(end + 2);
+            if (parsed) onEvent(parsed.event, parsed.data);
+        }
+
+        if (done) {
+            const parsed = buffer.trim() ? parseBlock(buffer) : null;
+            if (parsed) onEvent(parsed.event, parsed.data);
+            return;
+        }
+    }
+}
@@ -0,0 +1,198 @@
+/**
+ * Report Export - PNG share card, printable report and JSON
+ *
+ * Everything is generated in the browser from the current analysis; nothing
+ * is uploaded.
+ */
+
+import { escapeHtml } from './utils.js';
+import { t, getLanguageTag } from './i18n.js';
+
+const METRICS = [
+    { key: 'symmetry', color: '#6366f1' },
+    { key: 'texture', color: '#f59e0b' },
+    { key: 'oiliness', color: '#10b981' },
+    { key: 'beardDensity', color: '#ec4899' }
+];
+
+const metricLabel = key => t(`metric.${key}`);
+
+const EXPORT_VERSION = 1;
+
+/**
+ * Machine-readable export: scores, geometry, landmarks and the AI response
+ * exactly as the server returned it.
+ */
+export function buildExportJson(state, face) {
+    return {
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        analysisState: {
+            symmetry: state.symmetry,
+            texture: state.texture,
+            oiliness: state.oiliness,
+            beardDensity: state.beardDensity,
+            spread: state.spread || null,
+            frames: state.frames || null,
+            aiScores: state.aiScores || null,
+            geometry: state.geometry || null,
+            faceShape: state.faceShape || null,
+            aiFaceShape: state.aiFaceShape || null
+        },
+        regionScores: face?.regionScores || null,
+        landmarks: face?.landmarks || null,
+        aiResponse: state.ai || null
+    };
+}
+
+function roundRect(c, x, y, w, h, r) {
+    c.beginPath();
+    c.moveTo(x + r, y);
+    c.arcTo(x + w, y, x + w, y + h, r);
+    c.arcTo(x + w, y + h, x, y + h, r);
+    c.arcTo(x, y + h, x, y, r);
+    c.arcTo(x, y, x + w, y, r);
+    c.closePath();
+}
+
+/**
+ * Share card: the annotated canvas on top, score bars below.
+ * Returns a new canvas (1080px wide) ready for toBlob/toDataURL.
+ */
+export function renderShareCard(source, state) {
+    const W = 1080, pad = 48;
+    const imgW = W - pad * 2;
+    const imgH = Math.round(imgW * source.height / source.width);
+    const H = pad + 80 + imgH + 40 + METRICS.length * 90 + 120;
+
+    const card = document.createElement('canvas');
+    card.width = W;
+    card.height = H;
+    const c = card.getContext('2d');
+
+    c.fillStyle = '#09090b';
+    c.fillRect(0, 0, W, H);
+
+    c.fillStyle = '#fafafa';
+    c.font = '700 44px Inter, system-ui, sans-serif';
+    c.fillText('Face', pad, pad + 44);
+    c.fillStyle = '#6366f1';
+    c.fillText('Architect', pad + c.measureText('Face').width, pad + 44);
+
+    let y = pad + 80;
+    c.save();
+    roundRect(c, pad, y, imgW, imgH, 24);
+    c.clip();
+    c.drawImage(source, pad, y, imgW, imgH);
+    c.restore();
+    y += imgH + 40;
+
+    METRICS.forEach(({ key, color }) => {
+        const value = Math.max(0, Math.min(100, state[key] || 0));
+        c.fillStyle = '#a1a1aa';
+        c.font = '500 28px Inter, system-ui, sans-serif';
+        c.fillText(metricLabel(key).toUpperCase(), pad, y + 28);
+        c.fillStyle = '#fafafa';
+        c.font = '700 32px Inter, system-ui, sans-serif';
+        const text = `${value}%`;
+        c.fillText(text, W - pad - c.measureText(text).width, y + 30);
+
+        c.fillStyle = '#2d2d30';
+        roundRect(c, pad, y + 46, imgW, 14, 7); c.fill();
+        c.fillStyle = color;
+        roundRect(c, pad, y + 46, Math.max(14, imgW * value / 100), 14, 7); c.fill();
+        y += 90;
+    });
+
+    c.fillStyle = '#a1a1aa';
+    c.font = '400 26px Inter, system-ui, sans-serif';
+    const shape = state.faceShape ? t('export.cardShape', { shape: t(`shape.${state.faceShape.shape}`) }) : '';
+    c.fillText(shape, pad, y + 40);
+    const date = new Date().toLocaleDateString(getLanguageTag());
+    c.fillText(date, W - pad - c.measureText(date).width, y + 40);
+
+    return card;
+}
+
+/**
+ * Printable report as a standalone HTML document (print -> "Save as PDF"),
+ * in the current UI language.
+ * `explanations` maps metric keys to lists of explanation paragraphs;
+ * `suggestions` (AI + rule recommendations as text) replaces the raw AI tips.
+ */
+export function buildPrintableReport(state, imageUrl, explanations = {}, suggestions = null) {
+    const ai = state.ai || {};
+    const geo = state.geometry;
+    const list = items => (Array.isArray(items) && items.length
+        ? `<ul>${items.map(i => `<li>${escapeHtml(i)}</li>`).join('')}</ul>`
+        : `<p class="muted">${t('export.notAvailable')}</p>`);
+
+    const metricRows = METRICS.map(({ key }) => {
+        const idKey = key === 'beardDensity' ? 'beard' : key;
+        const spread = state.spread?.[key];
+        const notes = (explanations[idKey] || []).filter(Boolean).map(note => `<p>${escapeHtml(note)}</p>`).join('');
+        return `
+            <section class="metric">
+                <h3>${metricLabel(key)}: ${state[key]}%${spread && spread.confidence !== null ? ` <small>±${spread.std}</small>` : ''}</h3>
+                ${notes || `<p class="muted">${t('export.noExplanation')}</p>`}
+            </section>`;
+    }).join('');
+
+    const geometry = geo ? `
+        <table>
+            <tr><th>${t('export.geoOverall')}</th><td>${geo.asymmetry.overall}%</td></tr>
+            <tr><th>${t('export.geoFeatures')}</th>
+                <td>${geo.asymmetry.eyes}% / ${geo.asymmetry.brows}% / ${geo.asymmetry.mouth}% / ${geo.asymmetry.nose}% / ${geo.asymmetry.jaw}%</td></tr>
+            <tr><th>${t('export.geoPose')}</th><td>${geo.pose.yaw}° / ${geo.pose.pitch}° / ${geo.pose.roll}°</td></tr>
+            <tr><th>${t('geo.thirds')}</th><td>${geo.proportions.thirds.upper} / ${geo.proportions.thirds.middle} / ${geo.proportions.thirds.lower} %</td></tr>
+            <tr><th>${t('geo.fifths')}</th><td>${geo.proportions.fifths.segments.join(' / ')} %</td></tr>
+            <tr><th>${t('geo.canthal')}</th><td>${geo.proportions.canthalTilt.mean}°</td></tr>
+            <tr><th>${t('geo.gonial')}</th><td>${geo.proportions.gonialAngle.mean}°</td></tr>
+            <tr><th>fWHR</th><td>${geo.proportions.fwhr}</td></tr>
+        </table>` : `<p class="muted">${t('export.notAvailable')}</p>`;
+
+    return `<!DOCTYPE html>
+<html lang="${getLanguageTag()}">
+<head>
+<meta charset="UTF-8">
+<title>FaceArchitect - ${t('export.reportTitle')}</title>
+<style>
+    body { font-family: Inter, system-ui, sans-serif; color: #18181b; margin: 32px; line-height: 1.5; }
+    h1 { font-size: 1.6rem; margin-bottom: 4px; }
+    h1 span { color: #6366f1; }
+    h2 { font-size: 1.15rem; border-bottom: 2px solid #e4e4e7; padding-bottom: 4px; margin-top: 28px; }
+    h3 { font-size: 1rem; margin: 16px 0 4px; }
+    small, .muted { color: #71717a; }
+    img { max-width: 100%; max-height: 60vh; border-radius: 12px; display: block; margin: 16px auto; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e4e4e7; }
+    .page { page-break-after: always; }
+    .page:last-child { page-break-after: auto; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+    <div class="page">
+        <h1>Face<span>Architect</span> — ${t('export.reportTitle')}</h1>
+        <p class="muted">${escapeHtml(new Date().toLocaleString(getLanguageTag()))}</p>
+        ${imageUrl ? `<img src="${imageUrl}" alt="${t('export.reportTitle')}">` : ''}
+        <h2>${t('shape.title')}</h2>
+        <p>${t('shape.local')}: <strong>${escapeHtml(state.faceShape ? t(`shape.${state.faceShape.shape}`) : '--')}</strong>
+           · ${t('shape.ai')}: <strong>${escapeHtml(state.aiFaceShape || '--')}</strong></p>
+    </div>
+    <div class="page">
+        <h2>${t('export.metrics')}</h2>
+        ${metricRows}
+        <h2>${t('geo.title')}</h2>
+        ${geometry}
+    </div>
+    <div class="page">
+        <h2>${t('strengths.title')}</h2>
+        ${list(ai.pontos_fortes)}
+        <h2>${t('suggestions.title')}</h2>
+        ${list(suggestions || ai.sugestoes_melhoria)}
+    </div>
+    <script>window.onload = () => window.print();<\/script>
+</body>
+</html>`;
+}
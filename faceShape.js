@@ -0,0 +1,124 @@
+/**
+ * Face Shape - local, deterministic classifier
+ *
+ * Classifies the face outline from width ratios on the pose-corrected mesh,
+ * so it runs offline and can cross-check the AI's "formato_rosto" answer.
+ */
+
+import { frontalize, angleAt } from './geometry.js';
+
+// Prototype ratios per shape:
+// length = face length / cheekbone width, forehead & jaw = width / cheekbone width,
+// angle = mean gonial angle in degrees (sharp jaw ~120, soft ~135)
+const PROTOTYPES = {
+    oval: { length: 1.45, forehead: 0.85, jaw: 0.76, angle: 128 },
+    square: { length: 1.22, forehead: 0.94, jaw: 0.92, angle: 118 },
+    round: { length: 1.12, forehead: 0.88, jaw: 0.84, angle: 136 },
+    diamond: { length: 1.38, forehead: 0.74, jaw: 0.72, angle: 128 },
+    heart: { length: 1.35, forehead: 0.96, jaw: 0.68, angle: 130 },
+    oblong: { length: 1.68, forehead: 0.9, jaw: 0.86, angle: 124 }
+};
+
+// How much one unit of difference in each ratio counts
+const WEIGHTS = { length: 4, forehead: 6, jaw: 6, angle: 0.05 };
+
+const LM = {
+    top: 10, menton: 152,
+    cheekL: 234, cheekR: 454,
+    foreheadL: 54, foreheadR: 284,
+    jawL: 172, jawR: 397
+};
+
+function width(pts, a, b) {
+    return Math.abs(pts[b][0] - pts[a][0]);
+}
+
+export function measureFaceRatios(landmarks) {
+    const pts = frontalize(landmarks);
+    const cheek = width(pts, LM.cheekL, LM.cheekR) || 1;
+    const gonial = (angleAt(pts[LM.jawL], pts[LM.cheekL], pts[LM.menton]) +
+        angleAt(pts[LM.jawR], pts[LM.cheekR], pts[LM.menton])) / 2;
+    return {
+        length: Math.abs(pts[LM.menton][1] - pts[LM.top][1]) / cheek,
+        forehead: width(pts, LM.foreheadL, LM.foreheadR) / cheek,
+        jaw: width(pts, LM.jawL, LM.jawR) / cheek,
+        angle: gonial
+    };
+}
+
+/**
+ * Nearest-prototype classification.
+ * Returns { shape, confidence (0-100), ratios, scores } where scores
+ * holds every shape's similarity so the UI can show runner-ups.
+ */
+export function classifyFaceShape(landmarks) {
+    if (!landmarks || landmarks.length < 468) return null;
+
+    const ratios = measureFaceRatios(landmarks);
+    const distances = {};
+    Object.entries(PROTOTYPES).forEach(([shape, proto]) => {
+        distances[shape] = Math.sqrt(Object.keys(WEIGHTS).reduce((s, k) => {
+            const d = (ratios[k] - proto[k]) * WEIGHTS[k];
+            return s + d * d;
+        }, 0));
+    });
+
+    // Softmax over negative distances -> relative similarity
+    const exp = Object.fromEntries(Object.entries(distances).map(([k, d]) => [k, Math.exp(-d)]));
+    const total = Object.values(exp).reduce((a, b) => a + b, 0) || 1;
+    const scores = Object.fromEntries(Object.entries(exp).map(([k, v]) => [k, Math.round(v / total * 100)]));
+
+    // Ties resolve in PROTOTYPES order, which keeps the result deterministic
+    const shape = Object.keys(distances).reduce((best, k) => distances[k] < distances[best] ? k : best);
+
+    return {
+        shape,
+        confidence: scores[shape],
+        ratios: Object.fromEntries(Object.entries(ratios).map(([k, v]) => [k, Math.round(v * 100) / 100])),
+        scores
+    };
+}
+
+// Free-text names the AI may use (pt/en), mapped to the shape keys above
+const ALIASES = {
+    oval: ['oval'],
+    square: ['quadrado', 'square'],
+    round: ['redondo', 'round', 'circular'],
+    diamond: ['diamante', 'losango', 'diamond'],
+    heart: ['coração', 'coracao', 'heart', 'triangular invertido', 'triângulo invertido'],
+    oblong: ['oblongo', 'alongado', 'retangular', 'oblong', 'rectangle']
+};
+
+/**
+ * Maps an AI answer like "Oval alongado" or "Quadrado" to a shape key.
+ * The earliest mention wins; returns null when nothing is recognised.
+ */
+export function normalizeShapeName(text) {
+    if (!text || typeof text !== 'string') return null;
+    const lower = text.toLowerCase();
+    let match = null, firstIndex = Infinity;
+    Object.entries(ALIASES).forEach(([shape, names]) => {
+        names.forEach(name => {
+            const idx = lower.indexOf(name);
+            if (idx !== -1 && idx < firstIndex) {
+                firstIndex = idx;
+                match = shape;
+            }
+        });
+    });
+    return match;
+}
+
+/**
+ * Compares the local result with the AI's formato_rosto.
+ * `agrees` is null when there is no usable AI answer (e.g. offline).
+ */
+export function compareFaceShape(local, aiText) {
+    const aiShape = normalizeShapeName(aiText);
+    return {
+        local,
+        ai: aiText || null,
+        aiShape,
+        agrees: local && aiShape ? local.shape === aiShape : null
+    };
+}
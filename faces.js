@@ -0,0 +1,131 @@
+/**
+ * Multiple Faces - ordering, burst tracking and crops
+ *
+ * The detector returns faces in no particular order, so faces are numbered
+ * left to right as the user sees them and followed across burst frames by
+ * their box centre. `mirrored` means the canvas is displayed flipped
+ * (scaleX(-1) in CSS), which reverses the on-screen order. Works on
+ * [x, y, z] landmark arrays, DOM-free apart from the label drawing helper.
+ */
+
+export function landmarkBox(landmarks) {
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    landmarks.forEach(([x, y]) => {
+        if (x < minX) minX = x; if (x > maxX) maxX = x;
+        if (y < minY) minY = y; if (y > maxY) maxY = y;
+    });
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+const centre = box => [box.x + box.width / 2, box.y + box.height / 2];
+
+// Left-to-right numbering on screen, ties broken top to bottom
+export function orderFaces(faces, { boxOf = f => f.box, mirrored = false } = {}) {
+    const dir = mirrored ? -1 : 1;
+    return [...faces].sort((a, b) => {
+        const [ax, ay] = centre(boxOf(a));
+        const [bx, by] = centre(boxOf(b));
+        return (ax - bx) * dir || ay - by;
+    });
+}
+
+/**
+ * Groups per-frame detections into tracks.
+ * `detections[i]` is the list of landmark arrays found on frame i. Tracks
+ * start from the frame with the most faces; other frames join the nearest
+ * track whose centre is within `maxShift` face widths, one detection per
+ * track per frame. Returns [{ box, samples: [{ frameIndex, landmarks }] }]
+ * in on-screen order.
+ */
+export function trackFaces(detections, { maxShift = 0.5, mirrored = false } = {}) {
+    const seedIndex = detections.reduce((best, list, i) => list.length > detections[best].length ? i : best, 0);
+    const tracks = orderFaces(
+        detections[seedIndex].map(landmarks => ({ box: landmarkBox(landmarks), samples: [] })),
+        { mirrored }
+    );
+
+    detections.forEach((list, frameIndex) => {
+        const taken = new Set();
+        list.forEach(landmarks => {
+            const box = landmarkBox(landmarks);
+            const [cx, cy] = centre(box);
+            let best = -1, bestDist = Infinity;
+            tracks.forEach((track, t) => {
+                if (taken.has(t)) return;
+                const [tx, ty] = centre(track.box);
+                const dist = Math.hypot(cx - tx, cy - ty);
+                if (dist < bestDist && dist <= track.box.width * maxShift) {
+                    best = t;
+                    bestDist = dist;
+                }
+            });
+            if (best === -1) return; // face not present in the seed frame
+            taken.add(best);
+            tracks[best].samples.push({ frameIndex, landmarks });
+        });
+    });
+
+    return tracks.filter(track => track.samples.length > 0);
+}
+
+// Index of the box containing (x, y), smallest first so overlapping faces stay pickable
+export function faceAt(boxes, x, y) {
+    let hit = -1, hitArea = Infinity;
+    boxes.forEach((box, i) => {
+        const inside = x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height;
+        if (inside && box.width * box.height < hitArea) {
+            hit = i;
+            hitArea = box.width * box.height;
+        }
+    });
+    return hit;
+}
+
+/**
+ * Crop rectangle around a face box, grown by `padding` (fraction of the box)
+ * and clamped to the frame so the AI still sees hair, jaw and ears.
+ */
+export function cropRect(box, frameWidth, frameHeight, padding = 0.35) {
+    const padX = box.width * padding, padY = box.height * padding;
+    const x = Math.max(0, Math.floor(box.x - padX));
+    const y = Math.max(0, Math.floor(box.y - padY));
+    return {
+        x, y,
+        width: Math.min(frameWidth, Math.ceil(box.x + box.width + padX)) - x,
+        height: Math.min(frameHeight, Math.ceil(box.y + box.height + padY)) - y
+    };
+}
+
+// Numbered badge + outline per face ([{ box, number }]); `active` is the
+// highlighted number. The badge sits on the top-left corner as seen on
+// screen and its text is drawn unflipped on a mirrored canvas.
+export function drawFaceLabels(ctx, faces, active = null, mirrored = false) {
+    const scale = Math.max(1, ctx.canvas.width / 640);
+    ctx.save();
+    ctx.font = `600 ${Math.round(14 * scale)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    faces.forEach(({ box, number }) => {
+        const isActive = number === active;
+        const color = isActive ? '#6366f1' : 'rgba(255, 255, 255, 0.85)';
+        ctx.strokeStyle = color;
+        ctx.lineWidth = (isActive ? 3 : 1.5) * scale;
+        ctx.setLineDash(isActive ? [] : [6 * scale, 4 * scale]);
+        ctx.strokeRect(box.x, box.y, box.width, box.height);
+
+        const cx = mirrored ? box.x + box.width : box.x;
+        ctx.setLineDash([]);
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(cx, box.y, 12 * scale, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.save();
+        ctx.translate(cx, box.y + 1);
+        if (mirrored) ctx.scale(-1, 1);
+        ctx.fillStyle = isActive ? '#ffffff' : '#09090b';
+        ctx.fillText(String(number), 0, 0);
+        ctx.restore();
+    });
+    ctx.restore();
+}
@@ -0,0 +1,163 @@
+/**
+ * Facial Geometry - pose-corrected symmetry and proportions
+ *
+ * Works on the 468/478 FaceMesh landmarks ([x, y, z] arrays or keypoint
+ * objects). The mesh is first rotated into a face-aligned frame using the
+ * z coordinates, so head roll/yaw/pitch don't read as asymmetry.
+ * Pairs are listed image-left first (landmark 234 side), as in regions.js.
+ */
+
+const MIDLINE = [10, 151, 9, 8, 168, 6, 197, 195, 5, 4, 1, 2, 164, 0, 17, 18, 200, 199, 175, 152];
+
+export const FEATURE_PAIRS = {
+    eyes: [[33, 263], [133, 362], [159, 386], [145, 374], [160, 387], [144, 373], [158, 385], [153, 380]],
+    brows: [[70, 300], [63, 293], [105, 334], [66, 296], [107, 336], [46, 276], [53, 283], [52, 282], [65, 295], [55, 285]],
+    mouth: [[61, 291], [40, 270], [37, 267], [39, 269], [91, 321], [84, 314], [181, 405], [146, 375]],
+    nose: [[129, 358], [98, 327], [49, 279], [48, 278]],
+    jaw: [[234, 454], [93, 323], [132, 361], [58, 288], [172, 397], [136, 365], [150, 379], [149, 378], [176, 400], [148, 377]]
+};
+
+// Landmarks used for the proportion metrics
+const LM = {
+    top: 10, glabella: 9, nasion: 168, subnasale: 2, upperLip: 0, menton: 152,
+    left: 234, right: 454,
+    leftOuterEye: 33, leftInnerEye: 133, rightInnerEye: 362, rightOuterEye: 263,
+    leftGonion: 172, rightGonion: 397
+};
+
+const RAD = 180 / Math.PI;
+
+function toXYZ(p) {
+    return Array.isArray(p) ? [p[0], p[1], p[2] || 0] : [p.x, p.y, p.z || 0];
+}
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const norm = a => Math.hypot(a[0], a[1], a[2]);
+const unit = a => { const n = norm(a) || 1; return [a[0] / n, a[1] / n, a[2] / n]; };
+const round = (v, digits = 1) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+/**
+ * Head pose from the mesh, in degrees.
+ * x axis: left -> right face edge, y axis: forehead -> chin.
+ */
+export function estimatePose(landmarks) {
+    const pts = landmarks.map(toXYZ);
+    const xAxis = unit(sub(pts[LM.right], pts[LM.left]));
+    const yRaw = sub(pts[LM.menton], pts[LM.top]);
+    const yAxis = unit(sub(yRaw, xAxis.map(v => v * dot(yRaw, xAxis))));
+    const zAxis = cross(xAxis, yAxis);
+
+    return {
+        axes: { x: xAxis, y: yAxis, z: zAxis },
+        roll: round(Math.atan2(xAxis[1], xAxis[0]) * RAD),
+        yaw: round(Math.atan2(xAxis[2], Math.hypot(xAxis[0], xAxis[1])) * RAD),
+        pitch: round(Math.atan2(-yAxis[2], Math.hypot(yAxis[0], yAxis[1])) * RAD)
+    };
+}
+
+/**
+ * Rotates the mesh into the face frame (frontal view, no roll), centred on
+ * the nose tip. Units stay in source pixels.
+ */
+export function frontalize(landmarks, pose = estimatePose(landmarks)) {
+    const pts = landmarks.map(toXYZ);
+    const origin = pts[1];
+    const { x, y, z } = pose.axes;
+    return pts.map(p => {
+        const d = sub(p, origin);
+        return [dot(d, x), dot(d, y), dot(d, z)];
+    });
+}
+
+export function angleAt(vertex, a, b) {
+    const u = sub(a, vertex), v = sub(b, vertex);
+    const cos = dot(u, v) / ((norm(u) * norm(v)) || 1);
+    return Math.acos(Math.max(-1, Math.min(1, cos))) * RAD;
+}
+
+// Mean absolute deviation of `parts` from equal shares, in percent
+function shareDeviation(parts) {
+    const total = parts.reduce((a, b) => a + b, 0) || 1;
+    const ideal = 1 / parts.length;
+    return parts.reduce((s, p) => s + Math.abs(p / total - ideal), 0) / parts.length * 100;
+}
+
+/**
+ * Full geometry report.
+ * Asymmetry values are the mean mirror mismatch of each feature's pairs as a
+ * percentage of face width (0 = perfect mirror image).
+ */
+export function analyzeGeometry(landmarks) {
+    if (!landmarks || landmarks.length < 468) return null;
+
+    const pose = estimatePose(landmarks);
+    const pts = frontalize(landmarks, pose);
+    const faceWidth = Math.abs(pts[LM.right][0] - pts[LM.left][0]) || 1;
+
+    // Midline: mean x of the central landmarks in the face frame
+    const midX = MIDLINE.reduce((s, i) => s + pts[i][0], 0) / MIDLINE.length;
+
+    const asymmetry = {};
+    Object.entries(FEATURE_PAIRS).forEach(([feature, pairs]) => {
+        const mismatch = pairs.reduce((s, [l, r]) => {
+            const mirrored = [2 * midX - pts[r][0], pts[r][1]];
+            return s + Math.hypot(pts[l][0] - mirrored[0], pts[l][1] - mirrored[1]);
+        }, 0) / pairs.length;
+        asymmetry[feature] = round(mismatch / faceWidth * 100, 2);
+    });
+    const features = Object.values(asymmetry);
+    asymmetry.overall = round(features.reduce((a, b) => a + b, 0) / features.length, 2);
+
+    // Facial thirds (mesh top stands in for the hairline)
+    const thirds = [
+        pts[LM.glabella][1] - pts[LM.top][1],
+        pts[LM.subnasale][1] - pts[LM.glabella][1],
+        pts[LM.menton][1] - pts[LM.subnasale][1]
+    ];
+    const thirdsTotal = thirds.reduce((a, b) => a + b, 0) || 1;
+
+    // Facial fifths along the x axis
+    const xs = [LM.left, LM.leftOuterEye, LM.leftInnerEye, LM.rightInnerEye, LM.rightOuterEye, LM.right]
+        .map(i => pts[i][0]);
+    const fifths = xs.slice(1).map((x, i) => Math.abs(x - xs[i]));
+    const fifthsTotal = fifths.reduce((a, b) => a + b, 0) || 1;
+
+    // Canthal tilt: positive when the outer corner sits above the inner one
+    const tilt = (inner, outer) => Math.atan2(
+        pts[inner][1] - pts[outer][1],
+        Math.abs(pts[outer][0] - pts[inner][0]) || 1
+    ) * RAD;
+    const tiltL = tilt(LM.leftInnerEye, LM.leftOuterEye);
+    const tiltR = tilt(LM.rightInnerEye, LM.rightOuterEye);
+
+    // Gonial angle: ramus (up to the face edge) vs mandible body (to menton)
+    const gonialL = angleAt(pts[LM.leftGonion], pts[LM.left], pts[LM.menton]);
+    const gonialR = angleAt(pts[LM.rightGonion], pts[LM.right], pts[LM.menton]);
+
+    // fWHR: bizygomatic width over nasion-to-upper-lip height
+    const upperFace = Math.abs(pts[LM.upperLip][1] - pts[LM.nasion][1]) || 1;
+
+    return {
+        pose: { yaw: pose.yaw, pitch: pose.pitch, roll: pose.roll },
+        midline: round(midX, 2),
+        asymmetry,
+        symmetryScore: Math.max(0, Math.min(100, Math.round(100 - asymmetry.overall * 10))),
+        proportions: {
+            thirds: {
+                upper: round(thirds[0] / thirdsTotal * 100),
+                middle: round(thirds[1] / thirdsTotal * 100),
+                lower: round(thirds[2] / thirdsTotal * 100),
+                deviation: round(shareDeviation(thirds))
+            },
+            fifths: {
+                segments: fifths.map(f => round(f / fifthsTotal * 100)),
+                deviation: round(shareDeviation(fifths))
+            },
+            canthalTilt: { left: round(tiltL), right: round(tiltR), mean: round((tiltL + tiltR) / 2) },
+            gonialAngle: { left: round(gonialL), right: round(gonialR), mean: round((gonialL + gonialR) / 2) },
+            fwhr: round(faceWidth / upperFace, 2)
+        }
+    };
+}
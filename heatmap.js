@@ -0,0 +1,72 @@
+/**
+ * Region Heatmap - per-zone coloring by the measured metric values
+ *
+ * Each layer scores its own zones with the same pixel metrics used for the
+ * report, so the colors show where a value comes from instead of a fixed blob.
+ */
+
+import { calculateTextureMetric, calculateOilinessMetric, calculateBeardMetric } from './metrics.js';
+
+export const LAYERS = {
+    oiliness: ['forehead', 'tZone'],
+    texture: ['leftCheek', 'rightCheek', 'leftUnderEye', 'rightUnderEye'],
+    beard: ['chin', 'jawline']
+};
+
+/**
+ * Scores every zone of every layer: { oiliness: { forehead: 40, ... }, ... }.
+ * Zones with no pixels are left out.
+ */
+export function computeRegionScores(regions, thresholds) {
+    const cheeks = [regions.leftCheek?.pixels, regions.rightCheek?.pixels].filter(Boolean);
+    const beardVs = px => {
+        const refs = cheeks.length > 0 ? cheeks : [null];
+        return Math.round(refs.reduce((s, c) => s + calculateBeardMetric(px, c, thresholds), 0) / refs.length);
+    };
+    const scorers = {
+        oiliness: px => calculateOilinessMetric(px, thresholds),
+        texture: px => calculateTextureMetric(px),
+        beard: beardVs
+    };
+
+    const scores = {};
+    Object.entries(LAYERS).forEach(([layer, zones]) => {
+        scores[layer] = {};
+        zones.forEach(zone => {
+            const px = regions[zone]?.pixels;
+            if (px) scores[layer][zone] = scorers[layer](px);
+        });
+    });
+    return scores;
+}
+
+// 0 = green, 50 = yellow, 100 = red
+export function heatColor(value, alpha = 1) {
+    const hue = 120 - Math.max(0, Math.min(100, value)) * 1.2;
+    return `hsla(${hue}, 85%, 50%, ${alpha})`;
+}
+
+/**
+ * Fills each zone polygon with its score color.
+ * `layer` is a LAYERS key or 'all'.
+ */
+export function drawRegionHeatmap(ctx, regions, scores, layer = 'all', alpha = 0.45) {
+    const layers = layer === 'all' ? Object.keys(LAYERS) : [layer];
+
+    ctx.save();
+    layers.forEach(name => {
+        Object.entries(scores[name] || {}).forEach(([zone, value]) => {
+            const polygon = regions[zone]?.polygon;
+            if (!polygon || polygon.length < 3) return;
+            ctx.beginPath();
+            polygon.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+            ctx.closePath();
+            ctx.fillStyle = heatColor(value, alpha);
+            ctx.fill();
+            ctx.strokeStyle = heatColor(value, Math.min(1, alpha + 0.3));
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        });
+    });
+    ctx.restore();
+}
@@ -0,0 +1,133 @@
+/**
+ * Analysis History - IndexedDB store for past sessions
+ *
+ * One record per finished analysis: scores, geometry, landmarks, AI text and
+ * an optional thumbnail. Everything stays on the device.
+ * A second store keeps AI requests made while offline (face crop + the
+ * session they belong to) until the connection is back.
+ */
+
+import { t } from './i18n.js';
+
+const DB_NAME = 'face-architect';
+const DB_VERSION = 2;
+const STORE = 'sessions';
+const QUEUE = 'pendingAnalyses';
+
+let dbPromise = null;
+
+function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error(t('history.noIndexedDb')));
+            return;
+        }
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(STORE)) {
+                const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('createdAt', 'createdAt');
+            }
+            if (!db.objectStoreNames.contains(QUEUE)) {
+                db.createObjectStore(QUEUE, { keyPath: 'id', autoIncrement: true });
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+    // Allow a retry if opening failed (e.g. private mode)
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+async function withStore(mode, fn, storeName = STORE) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// Landmarks are stored with 1 decimal to keep records small
+function compactLandmarks(landmarks) {
+    if (!landmarks) return null;
+    return landmarks.map(p => p.map(v => Math.round(v * 10) / 10));
+}
+
+/**
+ * Builds a storable record from the current analysis.
+ * `thumbnail` is an optional data URL.
+ */
+export function createSessionRecord(state, { landmarks, thumbnail = null, source = 'camera' } = {}) {
+    return {
+        createdAt: Date.now(),
+        source,
+        scores: {
+            symmetry: state.symmetry,
+            texture: state.texture,
+            oiliness: state.oiliness,
+            beardDensity: state.beardDensity
+        },
+        aiScores: state.aiScores || null,
+        geometry: state.geometry || null,
+        faceShape: state.faceShape ? state.faceShape.shape : null,
+        ai: state.ai || null,
+        landmarks: compactLandmarks(landmarks),
+        thumbnail
+    };
+}
+
+export async function saveSession(record) {
+    const id = await withStore('readwrite', store => store.add(record));
+    return { ...record, id };
+}
+
+// Oldest first, which is what the timeline wants
+export async function listSessions() {
+    const sessions = await withStore('readonly', store => store.getAll());
+    return (sessions || []).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// Shallow merge into a stored session (e.g. AI results that arrived later)
+export async function updateSession(id, changes) {
+    const record = await getSession(id);
+    if (!record) return null;
+    const updated = { ...record, ...changes };
+    await withStore('readwrite', store => store.put(updated));
+    return updated;
+}
+
+export function getSession(id) {
+    return withStore('readonly', store => store.get(id));
+}
+
+export function deleteSession(id) {
+    return withStore('readwrite', store => store.delete(id));
+}
+
+export function clearSessions() {
+    return withStore('readwrite', store => store.clear());
+}
+
+// --- Offline AI queue ---
+
+// `image` is the JPEG Blob that would have been uploaded, `sessionId` the
+// history entry to update (null with history off). Resolves with the queue id.
+export function queueAnalysis({ sessionId, image }) {
+    return withStore('readwrite', store => store.add({ sessionId, image, createdAt: Date.now() }), QUEUE);
+}
+
+// Oldest first, so results land in the order they were taken
+export async function listQueued() {
+    const items = await withStore('readonly', store => store.getAll(), QUEUE);
+    return (items || []).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export function removeQueued(id) {
+    return withStore('readwrite', store => store.delete(id), QUEUE);
+}
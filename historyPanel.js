@@ -0,0 +1,203 @@
+/**
+ * History Panel - timeline chart and before/after comparison
+ *
+ * Renders the sessions from history.js into #history-panel.
+ */
+
+import { listSessions, deleteSession } from './history.js';
+import { t, getLanguageTag } from './i18n.js';
+
+// `better`: which direction of change is an improvement (null = neutral)
+export const SERIES = [
+    { key: 'symmetry', labelKey: 'metric.symmetry', color: '#6366f1', better: 1 },
+    { key: 'texture', labelKey: 'metric.texture', color: '#f59e0b', better: -1 },
+    { key: 'oiliness', labelKey: 'metric.oiliness', color: '#10b981', better: -1 },
+    { key: 'beardDensity', labelKey: 'metric.beardShort', color: '#ec4899', better: null }
+];
+
+const panel = {
+    root: document.getElementById('history-panel'),
+    chart: document.getElementById('history-chart'),
+    legend: document.getElementById('history-legend'),
+    list: document.getElementById('history-list'),
+    compare: document.getElementById('history-compare'),
+    close: document.getElementById('history-close')
+};
+
+let sessions = [];
+let selected = []; // ids picked for comparison, max 2
+
+const formatDate = ts => new Date(ts).toLocaleString(getLanguageTag(), {
+    day: '2-digit', month: '2-digit', year: '2-digit', hour: '2-digit', minute: '2-digit'
+});
+
+export function initHistoryPanel() {
+    if (!panel.root) return;
+    panel.close.addEventListener('click', closeHistoryPanel);
+    panel.list.addEventListener('click', onListClick);
+    renderLegend();
+    window.addEventListener('localechange', () => {
+        renderLegend();
+        if (!panel.root.classList.contains('hidden')) render();
+    });
+}
+
+function renderLegend() {
+    panel.legend.innerHTML = SERIES.map(s =>
+        `<span><i style="background:${s.color}"></i>${t(s.labelKey)}</span>`
+    ).join('');
+}
+
+export async function openHistoryPanel() {
+    panel.root.classList.remove('hidden');
+    try {
+        sessions = await listSessions();
+    } catch (e) {
+        console.error(e);
+        sessions = [];
+        panel.list.innerHTML = `<li class="history-empty">${t('history.unavailable', { error: e.message })}</li>`;
+        return;
+    }
+    selected = selected.filter(id => sessions.some(s => s.id === id));
+    render();
+}
+
+export function closeHistoryPanel() {
+    panel.root.classList.add('hidden');
+}
+
+function render() {
+    drawTimeline(panel.chart, sessions);
+    renderList();
+    renderComparison();
+}
+
+function onListClick(e) {
+    const item = e.target.closest('[data-id]');
+    if (!item) return;
+    const id = Number(item.dataset.id);
+
+    if (e.target.matches('.history-delete')) {
+        if (!confirm(t('history.confirmDelete'))) return;
+        deleteSession(id).then(() => openHistoryPanel());
+        return;
+    }
+
+    // Toggle selection; picking a third one drops the oldest pick
+    if (selected.includes(id)) {
+        selected = selected.filter(x => x !== id);
+    } else {
+        selected = [...selected, id].slice(-2);
+    }
+    renderList();
+    renderComparison();
+}
+
+function renderList() {
+    if (sessions.length === 0) {
+        panel.list.innerHTML = `<li class="history-empty">${t('history.empty')}</li>`;
+        return;
+    }
+    // Newest first in the list
+    panel.list.innerHTML = [...sessions].reverse().map(s => `
+        <li class="history-item ${selected.includes(s.id) ? 'selected' : ''}" data-id="${s.id}">
+            ${s.thumbnail ? `<img src="${s.thumbnail}" alt="">` : '<div class="history-thumb-empty"></div>'}
+            <div class="history-meta">
+                <strong>${formatDate(s.createdAt)}</strong>
+                <span>${t('history.summary', s.scores)}</span>
+            </div>
+            <button class="history-delete" title="${t('history.delete')}">✕</button>
+        </li>
+    `).join('');
+}
+
+function renderComparison() {
+    if (selected.length < 2) {
+        panel.compare.innerHTML = `<p class="history-hint">${t('history.hint')}</p>`;
+        return;
+    }
+    // Before = older session
+    const [before, after] = selected
+        .map(id => sessions.find(s => s.id === id))
+        .sort((a, b) => a.createdAt - b.createdAt);
+
+    const column = (s, title) => `
+        <div class="compare-col">
+            <h4>${title}</h4>
+            ${s.thumbnail ? `<img src="${s.thumbnail}" alt="">` : '<div class="history-thumb-empty"></div>'}
+            <small>${formatDate(s.createdAt)}</small>
+        </div>
+    `;
+    const rows = SERIES.map(({ key, labelKey, better }) => {
+        const delta = after.scores[key] - before.scores[key];
+        const sign = delta > 0 ? '+' : '';
+        const trend = !better || delta === 0 ? '' : Math.sign(delta) === better ? 'better' : 'worse';
+        return `<tr><td>${t(labelKey)}</td><td>${before.scores[key]}%</td><td>${after.scores[key]}%</td>
+            <td class="${trend}">${sign}${delta}</td></tr>`;
+    }).join('');
+
+    panel.compare.innerHTML = `
+        <div class="compare-images">${column(before, t('history.before'))}${column(after, t('history.after'))}</div>
+        <table class="compare-table">
+            <thead><tr><th></th><th>${t('history.before')}</th><th>${t('history.after')}</th><th>Δ</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Line chart of every series over time (x = timestamp, y = 0-100).
+ * Plain canvas drawing, no charting library.
+ */
+export function drawTimeline(canvas, data) {
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.clientWidth || 320, h = canvas.clientHeight || 180;
+    canvas.width = w * dpr;
+    canvas.height = h * dpr;
+    const c = canvas.getContext('2d');
+    c.setTransform(dpr, 0, 0, dpr, 0, 0);
+    c.clearRect(0, 0, w, h);
+
+    const pad = { l: 28, r: 8, t: 8, b: 20 };
+    const plotW = w - pad.l - pad.r, plotH = h - pad.t - pad.b;
+
+    // Grid + y labels
+    c.strokeStyle = 'rgba(255,255,255,0.08)';
+    c.fillStyle = '#a1a1aa';
+    c.font = '10px sans-serif';
+    [0, 25, 50, 75, 100].forEach(v => {
+        const y = pad.t + plotH * (1 - v / 100);
+        c.beginPath(); c.moveTo(pad.l, y); c.lineTo(w - pad.r, y); c.stroke();
+        c.fillText(String(v), 4, y + 3);
+    });
+
+    if (data.length === 0) return;
+
+    const t0 = data[0].createdAt, t1 = data[data.length - 1].createdAt;
+    const xAt = s => data.length === 1 || t1 === t0
+        ? pad.l + plotW / 2
+        : pad.l + plotW * (s.createdAt - t0) / (t1 - t0);
+    const yAt = v => pad.t + plotH * (1 - Math.max(0, Math.min(100, v)) / 100);
+
+    SERIES.forEach(({ key, color }) => {
+        c.strokeStyle = color;
+        c.fillStyle = color;
+        c.lineWidth = 2;
+        c.beginPath();
+        data.forEach((s, i) => {
+            const x = xAt(s), y = yAt(s.scores[key]);
+            if (i === 0) c.moveTo(x, y); else c.lineTo(x, y);
+        });
+        c.stroke();
+        data.forEach(s => {
+            c.beginPath(); c.arc(xAt(s), yAt(s.scores[key]), 2.5, 0, 2 * Math.PI); c.fill();
+        });
+    });
+
+    // First/last dates on the x axis
+    c.fillStyle = '#a1a1aa';
+    const first = new Date(t0).toLocaleDateString(getLanguageTag());
+    const last = new Date(t1).toLocaleDateString(getLanguageTag());
+    c.fillText(first, pad.l, h - 5);
+    if (t1 !== t0) c.fillText(last, w - pad.r - c.measureText(last).width, h - 5);
+}
@@ -0,0 +1,64 @@
+/**
+ * i18n - message catalogs, locale detection and switching
+ *
+ * Messages are flat dotted keys ("status.done") with {name} placeholders.
+ * Static markup is translated through data attributes:
+ *   data-i18n="key"                 -> textContent
+ *   data-i18n-attr="title:key,..."  -> attributes
+ * Switching the locale re-translates the page and fires a 'localechange'
+ * event on window so dynamic UI can re-render.
+ */
+
+import pt from './locales/pt.js';
+import en from './locales/en.js';
+
+const CATALOGS = { pt, en };
+export const LOCALES = Object.keys(CATALOGS);
+export const DEFAULT_LOCALE = 'pt';
+const STORAGE_KEY = 'locale';
+
+let current = detectLocale();
+
+// Saved choice, then the browser's preferred languages, then Portuguese
+export function detectLocale() {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (CATALOGS[saved]) return saved;
+    const preferred = navigator.languages || [navigator.language];
+    const match = preferred.map(tag => String(tag).slice(0, 2).toLowerCase()).find(code => CATALOGS[code]);
+    return match || DEFAULT_LOCALE;
+}
+
+export function getLocale() {
+    return current;
+}
+
+// BCP 47 tag for Intl / toLocaleString ("pt-BR", "en-US")
+export function getLanguageTag() {
+    return t('locale.tag');
+}
+
+export function t(key, params = {}) {
+    const message = CATALOGS[current][key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+        el.dataset.i18nAttr.split(',').forEach(pair => {
+            const [attr, key] = pair.split(':').map(s => s.trim());
+            el.setAttribute(attr, t(key));
+        });
+    });
+    document.documentElement.lang = getLanguageTag();
+}
+
+export function setLocale(locale) {
+    if (!CATALOGS[locale] || locale === current) return;
+    current = locale;
+    localStorage.setItem(STORAGE_KEY, locale);
+    translatePage();
+    window.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+}
@@ -0,0 +1,362 @@
+/**
+ * Knowledge Base - curated grooming, skincare and posture rules
+ *
+ * Plain data read by recommendations.js; edit or extend it without touching
+ * the engine. Each rule:
+ *   id        unique, also the final tie-breaker when sorting
+ *   category  CATEGORIES key in suggestions.js
+ *   slot      only the highest-priority matching rule of a slot is kept
+ *             (one haircut, one beard style...)
+ *   priority  higher wins inside the slot and sorts first in the category
+ *   when      [fact, op, value] conditions, all must hold; ops: < <= > >= in between.
+ *             Facts are built by buildFacts() in recommendations.js; a missing
+ *             fact fails the condition. Empty `when` = always applies.
+ *   keywords  words that mean the AI already gave the same advice (dedupe)
+ *   text / rationale  per locale, {fact} placeholders are filled in
+ */
+
+export const KNOWLEDGE_BASE = [
+    // --- Haircut by face shape ---
+    {
+        id: 'haircut-round',
+        category: 'grooming',
+        slot: 'haircut',
+        priority: 3,
+        when: [['shape', 'in', ['round']]],
+        keywords: ['topete', 'volume', 'laterais curtas', 'pompadour', 'quiff', 'short sides'],
+        text: {
+            pt: 'Corte com volume no topo e laterais curtas (topete ou pompadour).',
+            en: 'Cut with volume on top and short sides (quiff or pompadour).'
+        },
+        rationale: {
+            pt: 'Rosto redondo: altura no topo e laterais baixas alongam a silhueta.',
+            en: 'Round face: height on top and tight sides make the outline look longer.'
+        }
+    },
+    {
+        id: 'haircut-square',
+        category: 'grooming',
+        slot: 'haircut',
+        priority: 3,
+        when: [['shape', 'in', ['square']]],
+        keywords: ['texturizado', 'camadas', 'textured', 'layers', 'crop'],
+        text: {
+            pt: 'Corte texturizado com camadas leves no topo (crop ou side part com textura).',
+            en: 'Textured cut with light layers on top (crop or textured side part).'
+        },
+        rationale: {
+            pt: 'Rosto quadrado (ângulo goníaco de {gonialAngle}°): textura suaviza a mandíbula marcada sem escondê-la.',
+            en: 'Square face (gonial angle {gonialAngle}°): texture softens the strong jaw without hiding it.'
+        }
+    },
+    {
+        id: 'haircut-oblong',
+        category: 'grooming',
+        slot: 'haircut',
+        priority: 3,
+        when: [['shape', 'in', ['oblong']]],
+        keywords: ['franja', 'fringe', 'bangs', 'volume nas laterais', 'side volume'],
+        text: {
+            pt: 'Evite altura no topo; prefira franja e um pouco de volume nas laterais.',
+            en: 'Avoid height on top; go for a fringe and some volume on the sides.'
+        },
+        rationale: {
+            pt: 'Rosto oblongo: volume no topo alonga ainda mais, franja e laterais equilibram o comprimento.',
+            en: 'Oblong face: volume on top adds length, a fringe and fuller sides balance it.'
+        }
+    },
+    {
+        id: 'haircut-heart',
+        category: 'grooming',
+        slot: 'haircut',
+        priority: 3,
+        when: [['shape', 'in', ['heart']]],
+        keywords: ['franja lateral', 'comprimento médio', 'side-swept', 'medium length'],
+        text: {
+            pt: 'Comprimento médio com franja lateral, sem volume extra nas têmporas.',
+            en: 'Medium length with a side-swept fringe, no extra volume at the temples.'
+        },
+        rationale: {
+            pt: 'Rosto coração: testa mais larga que o queixo; a franja lateral reduz a largura no alto do rosto.',
+            en: 'Heart face: forehead wider than the chin; a side-swept fringe narrows the top of the face.'
+        }
+    },
+    {
+        id: 'haircut-diamond',
+        category: 'grooming',
+        slot: 'haircut',
+        priority: 3,
+        when: [['shape', 'in', ['diamond']]],
+        keywords: ['franja', 'fringe', 'volume nas laterais', 'side volume'],
+        text: {
+            pt: 'Franja ou volume na testa e laterais não raspadas.',
+            en: 'Fringe or volume at the forehead and sides that are not shaved.'
+        },
+        rationale: {
+            pt: 'Rosto diamante: maçãs do rosto largas com testa e queixo estreitos; volume em cima e dos lados compensa.',
+            en: 'Diamond face: wide cheekbones with a narrow forehead and chin; volume above and at the sides compensates.'
+        }
+    },
+    {
+        id: 'haircut-oval',
+        category: 'grooming',
+        slot: 'haircut',
+        priority: 2,
+        when: [['shape', 'in', ['oval']]],
+        keywords: ['qualquer corte', 'any cut', 'most cuts', 'versátil', 'versatile'],
+        text: {
+            pt: 'A maioria dos cortes funciona; mantenha a testa parcialmente à mostra.',
+            en: 'Most cuts work; keep the forehead partly visible.'
+        },
+        rationale: {
+            pt: 'Rosto oval: proporções já equilibradas, o corte só não deve esconder esse equilíbrio.',
+            en: 'Oval face: proportions are already balanced, the cut just should not hide that.'
+        }
+    },
+    {
+        id: 'fringe-tall-forehead',
+        category: 'grooming',
+        slot: 'forehead',
+        priority: 1,
+        when: [['thirdsUpper', '>=', 37]],
+        keywords: ['franja', 'fringe', 'bangs'],
+        text: {
+            pt: 'Uma franja leve ajuda a equilibrar a testa.',
+            en: 'A light fringe helps balance the forehead.'
+        },
+        rationale: {
+            pt: 'O terço superior ocupa {thirdsUpper}% da altura do rosto (ideal ~33%).',
+            en: 'The upper third takes {thirdsUpper}% of the face height (ideal ~33%).'
+        }
+    },
+
+    // --- Beard by density, distribution and jaw ---
+    {
+        id: 'beard-sparse',
+        category: 'grooming',
+        slot: 'beard',
+        priority: 1,
+        when: [['beardDensity', '<', 15]],
+        keywords: ['barbear', 'rosto limpo', 'barba por fazer', 'stubble', 'clean shave', 'clean-shaven'],
+        text: {
+            pt: 'Rosto limpo ou barba por fazer bem curta.',
+            en: 'Clean shave or very short stubble.'
+        },
+        rationale: {
+            pt: 'Cobertura de barba de {beardDensity}%: pouco pelo para formar um desenho uniforme.',
+            en: 'Beard coverage of {beardDensity}%: too little hair for an even shape.'
+        }
+    },
+    {
+        id: 'beard-chin-focused',
+        category: 'grooming',
+        slot: 'beard',
+        priority: 2,
+        when: [['beardDensity', 'between', [15, 45]], ['beardGap', '>=', 20]],
+        keywords: ['cavanhaque', 'goatee', 'queixo', 'chin'],
+        text: {
+            pt: 'Cavanhaque ou barba concentrada no queixo, laterais aparadas.',
+            en: 'Goatee or a chin-focused beard with trimmed sides.'
+        },
+        rationale: {
+            pt: 'O queixo ({chinBeard}%) tem bem mais pelo que a mandíbula ({jawBeard}%): aproveite onde a barba é cheia.',
+            en: 'The chin ({chinBeard}%) is much fuller than the jawline ({jawBeard}%): use the area where the beard is dense.'
+        }
+    },
+    {
+        id: 'beard-full',
+        category: 'grooming',
+        slot: 'beard',
+        priority: 1,
+        when: [['beardDensity', '>=', 45]],
+        keywords: ['barba cheia', 'full beard', 'linha do pescoço', 'neckline', 'contorno'],
+        text: {
+            pt: 'Barba cheia com contorno definido no pescoço e nas bochechas.',
+            en: 'Full beard with a defined neckline and cheek line.'
+        },
+        rationale: {
+            pt: 'Cobertura de barba de {beardDensity}%: densidade suficiente para uma barba cheia, o contorno deixa o desenho limpo.',
+            en: 'Beard coverage of {beardDensity}%: dense enough for a full beard, a clean outline keeps it sharp.'
+        }
+    },
+    {
+        id: 'beard-round-elongate',
+        category: 'grooming',
+        slot: 'beard',
+        priority: 3,
+        when: [['shape', 'in', ['round']], ['beardDensity', '>=', 25]],
+        keywords: ['comprimento no queixo', 'length on the chin', 'laterais curtas', 'short sides'],
+        text: {
+            pt: 'Laterais da barba curtas e mais comprimento no queixo.',
+            en: 'Keep the beard short on the sides and longer on the chin.'
+        },
+        rationale: {
+            pt: 'Rosto redondo com {beardDensity}% de cobertura: comprimento no queixo alonga o rosto.',
+            en: 'Round face with {beardDensity}% coverage: length on the chin makes the face look longer.'
+        }
+    },
+    {
+        id: 'beard-define-jaw',
+        category: 'grooming',
+        slot: 'beard',
+        priority: 2,
+        when: [['gonialAngle', '>=', 130], ['beardDensity', '>=', 20]],
+        keywords: ['mandíbula', 'maxilar', 'jawline', 'jaw', 'boxed'],
+        text: {
+            pt: 'Barba curta e quadrada (boxed) para marcar a linha da mandíbula.',
+            en: 'Short boxed beard to define the jawline.'
+        },
+        rationale: {
+            pt: 'Ângulo goníaco de {gonialAngle}° indica mandíbula suave; cantos retos na barba criam definição.',
+            en: 'A gonial angle of {gonialAngle}° means a soft jaw; square beard corners add definition.'
+        }
+    },
+
+    // --- Skincare by region ---
+    {
+        id: 'skin-oily-tzone',
+        category: 'skincare',
+        slot: 'oil',
+        priority: 2,
+        when: [['tZoneOil', '>=', 55]],
+        keywords: ['oleos', 'niacinamida', 'sabonete', 'gel', 'oily', 'niacinamide', 'cleanser', 'shine'],
+        text: {
+            pt: 'Sabonete em gel para pele oleosa e niacinamida na zona T.',
+            en: 'Gel cleanser for oily skin and niacinamide on the T-zone.'
+        },
+        rationale: {
+            pt: 'Brilho alto na zona T ({tZoneOil}%) e na testa ({foreheadOil}%).',
+            en: 'High shine on the T-zone ({tZoneOil}%) and forehead ({foreheadOil}%).'
+        }
+    },
+    {
+        id: 'skin-dry-rough',
+        category: 'skincare',
+        slot: 'hydration',
+        priority: 2,
+        when: [['oiliness', '<=', 15], ['tZoneOil', '<', 40], ['cheekTexture', '>=', 50]],
+        keywords: ['hidrat', 'moistur', 'ceramida', 'ceramide'],
+        text: {
+            pt: 'Hidratante mais encorpado (com ceramidas) de manhã e à noite.',
+            en: 'Richer moisturizer (with ceramides) morning and night.'
+        },
+        rationale: {
+            pt: 'Pouco brilho ({oiliness}%) com textura irregular nas bochechas ({cheekTexture}%) sugere pele ressecada.',
+            en: 'Low shine ({oiliness}%) with uneven cheek texture ({cheekTexture}%) points to dry skin.'
+        }
+    },
+    {
+        id: 'skin-texture',
+        category: 'skincare',
+        slot: 'texture',
+        priority: 1,
+        when: [['cheekTexture', '>=', 55]],
+        keywords: ['esfolia', 'ácido', 'acido', 'bha', 'aha', 'retinol', 'exfoliat', 'acid'],
+        text: {
+            pt: 'Esfoliação química suave (AHA/BHA) 2 vezes por semana.',
+            en: 'Gentle chemical exfoliation (AHA/BHA) twice a week.'
+        },
+        rationale: {
+            pt: 'Textura de {cheekTexture}% nas bochechas: renovar a camada superficial uniformiza a pele.',
+            en: 'Cheek texture at {cheekTexture}%: renewing the surface layer evens out the skin.'
+        }
+    },
+    {
+        id: 'skin-under-eye',
+        category: 'skincare',
+        slot: 'underEye',
+        priority: 1,
+        when: [['underEyeTexture', '>=', 55]],
+        keywords: ['olheira', 'área dos olhos', 'under-eye', 'eye cream', 'dark circles'],
+        text: {
+            pt: 'Creme para a área dos olhos e atenção às horas de sono.',
+            en: 'Eye-area cream and attention to sleep.'
+        },
+        rationale: {
+            pt: 'Textura elevada abaixo dos olhos ({underEyeTexture}%).',
+            en: 'High texture under the eyes ({underEyeTexture}%).'
+        }
+    },
+    {
+        id: 'skin-beard-care',
+        category: 'skincare',
+        slot: 'beardCare',
+        priority: 1,
+        when: [['beardDensity', '>=', 30]],
+        keywords: ['óleo de barba', 'oleo de barba', 'shampoo de barba', 'beard oil', 'beard wash'],
+        text: {
+            pt: 'Lave a barba com shampoo próprio e use óleo de barba para hidratar a pele por baixo.',
+            en: 'Wash the beard with a beard shampoo and use beard oil to keep the skin underneath hydrated.'
+        },
+        rationale: {
+            pt: 'Com {beardDensity}% de cobertura a pele sob a barba resseca e acumula oleosidade.',
+            en: 'At {beardDensity}% coverage the skin under the beard dries out and traps oil.'
+        }
+    },
+    {
+        id: 'skin-sunscreen',
+        category: 'skincare',
+        slot: 'sunscreen',
+        priority: 0,
+        when: [],
+        keywords: ['protetor', 'fps', 'sunscreen', 'spf'],
+        text: {
+            pt: 'Protetor solar FPS 30+ todos os dias.',
+            en: 'Sunscreen SPF 30+ every day.'
+        },
+        rationale: {
+            pt: 'Base de qualquer rotina: previne manchas e o aumento da textura com o tempo.',
+            en: 'The base of any routine: prevents dark spots and texture building up over time.'
+        }
+    },
+
+    // --- Posture (pose at capture time, only a hint) ---
+    {
+        id: 'posture-head-pitch',
+        category: 'posture',
+        slot: 'head',
+        priority: 2,
+        when: [['absPitch', '>=', 10]],
+        keywords: ['queixo', 'tela', 'chin', 'screen', 'cervical', 'pescoço', 'neck'],
+        text: {
+            pt: 'Mantenha a tela na altura dos olhos e faça retrações de queixo (chin tucks) ao longo do dia.',
+            en: 'Keep screens at eye level and do chin tucks during the day.'
+        },
+        rationale: {
+            pt: 'Na captura a cabeça estava {absPitch}° fora do eixo vertical; se for o hábito, sobrecarrega a cervical.',
+            en: 'The head was {absPitch}° off the vertical axis in the capture; as a habit it strains the neck.'
+        }
+    },
+    {
+        id: 'posture-head-roll',
+        category: 'posture',
+        slot: 'tilt',
+        priority: 1,
+        when: [['absRoll', '>=', 5]],
+        keywords: ['inclina', 'ombro', 'tilt', 'shoulder'],
+        text: {
+            pt: 'Alongue pescoço e ombros e confira se a cabeça fica inclinada para um lado.',
+            en: 'Stretch your neck and shoulders and check whether you tilt your head to one side.'
+        },
+        rationale: {
+            pt: 'Inclinação lateral de {absRoll}° na captura.',
+            en: 'Sideways tilt of {absRoll}° in the capture.'
+        }
+    },
+    {
+        id: 'general-jaw-asymmetry',
+        category: 'general',
+        slot: 'jaw',
+        priority: 1,
+        when: [['jawAsymmetry', '>=', 5]],
+        keywords: ['mastig', 'dormir de lado', 'chew', 'sleep on'],
+        text: {
+            pt: 'Mastigue dos dois lados e alterne o lado em que dorme.',
+            en: 'Chew on both sides and alternate the side you sleep on.'
+        },
+        rationale: {
+            pt: 'Assimetria de {jawAsymmetry}% na mandíbula; hábitos de um lado só costumam acentuá-la.',
+            en: 'Jaw asymmetry of {jawAsymmetry}%; one-sided habits tend to make it stronger.'
+        }
+    }
+];
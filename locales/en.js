@@ -0,0 +1,258 @@
+// English. Same keys as pt.js; missing keys fall back to Portuguese.
+export default {
+    'locale.tag': 'en-US',
+    'locale.name': 'English',
+
+    // Intro
+    'intro.tagline': 'Professional face analysis powered by AI.',
+    'intro.symmetry': '✨ Symmetry',
+    'intro.skin': '💧 Skin',
+    'intro.beard': '🧔 Beard',
+    'intro.start': 'Analyze Face',
+    'intro.upload': 'Upload Photo',
+    'intro.history': 'View Analysis History',
+    'intro.language': 'Language',
+    'intro.loading': 'Loading...',
+
+    // Loading
+    'loading.default': 'Processing...',
+    'loading.traits': 'Analyzing features...',
+    'loading.readingFile': 'Reading file...',
+    'loading.models': 'Loading AI models...',
+    'loading.capture': 'Processing capture...',
+    'loading.detecting': 'Detecting face...',
+    'loading.analyzing': 'Analyzing{suffix}...',
+    'loading.uploading': 'Uploading image{suffix}...',
+    'loading.cancel': 'Cancel',
+    'stream.received': 'Image received by the server...',
+    'stream.preprocessed': 'Image prepared...',
+    'stream.model': 'Asking the AI...',
+    'stream.repair': 'Fixing the AI response...',
+    'stream.parsing': 'Reading the response...',
+    'stream.done': 'Analysis complete',
+
+    // Status bar
+    'status.starting': 'Starting camera...',
+    'status.position': 'Position your face',
+    'status.loadError': 'Loading error',
+    'status.capturing': 'Capturing...',
+    'status.holdStill': 'Hold still...',
+    'status.processing': 'Processing...',
+    'status.done': 'Analysis Complete',
+    'status.queued': 'Local analysis done (AI queued until you are back online)',
+    'status.cancelled': 'Local analysis done (AI cancelled)',
+    'status.aiUnavailable': 'Local analysis done (AI unavailable)',
+    'status.localOnly': 'Analysis done on your device (local mode)',
+
+    // Alerts / errors
+    'error.readImage': 'Could not read the image: {error}',
+    'error.loadModels': 'Could not load the AI: {error}',
+    'error.camera': 'Camera permission denied. Please allow access to continue.',
+    'error.noFace': 'No face detected. Try a front-facing photo with better lighting.',
+    'error.api': 'Analysis error (API): {error}\nShowing local metrics only.',
+    'error.analysis': 'Analysis error: {error}',
+    'error.encode': 'Failed to encode the image.',
+    'error.connectionLost': 'The connection to the server was lost.',
+
+    // Server error codes (server/errors.js)
+    'api.NO_FILE': 'No image was uploaded.',
+    'api.EMPTY_FILE': 'The uploaded file is empty.',
+    'api.UNEXPECTED_FIELD': 'Upload only one image at a time.',
+    'api.UPLOAD_FAILED': 'Image upload failed. Please try again.',
+    'api.FILE_TOO_LARGE': 'The image is too large. Use a smaller photo.',
+    'api.UNSUPPORTED_IMAGE_TYPE': 'Unsupported format. Use JPEG, PNG, WebP or HEIC.',
+    'api.IMAGE_DECODE_FAILED': 'Could not read the image. The file may be corrupted.',
+    'api.IMAGE_TOO_SMALL': 'The image is too small to analyze.',
+    'api.AI_NO_JSON': 'The AI did not return a valid analysis. Please try again.',
+    'api.AI_INVALID_JSON': 'The AI returned a corrupted analysis. Please try again.',
+    'api.AI_SCHEMA_MISMATCH': 'The AI analysis was incomplete. Please try again.',
+    'api.AI_PROVIDER_ERROR': 'The AI service is currently unavailable.',
+    'api.UNAUTHORIZED': 'Access to the AI analysis is not authorized.',
+    'api.FORBIDDEN': 'Access to the AI analysis is not authorized.',
+    'api.RATE_LIMITED': 'Too many analyses in a short time.',
+    'api.ORIGIN_NOT_ALLOWED': 'This site is not allowed to use the analysis server.',
+    'api.CANCELLED': 'The analysis was cancelled.',
+    'api.NOT_FOUND': 'The analysis server does not offer this route.',
+    'api.INTERNAL_ERROR': 'Error processing the image. Please try again.',
+    'api.retryAfter': ' Try again in {seconds}s.',
+    'api.serverError': 'Server error: {status}',
+
+    // Capture quality gate (quality.js reasons)
+    'quality.noFace': 'No face detected',
+    'quality.tooSmall': 'Move closer to the camera',
+    'quality.tooLarge': 'Move back a little',
+    'quality.offCenter': 'Center your face',
+    'quality.yaw': 'Look straight at the camera',
+    'quality.roll': 'Straighten your head',
+    'quality.pitch': 'Keep your chin level',
+    'quality.dark': 'Too dark: find more light',
+    'quality.bright': 'Light on your face is too strong',
+    'quality.backlit': 'Backlit: face the light source',
+    'quality.whiteBalance': 'Light is too colored: prefer white light',
+    'quality.blurry': 'Blurry image: hold still',
+    'quality.ok': 'Ready! Tap Capture',
+
+    // Controls
+    'controls.capture': 'Capture Analysis',
+    'controls.overlayStyle': 'Mesh style',
+    'controls.autoOn': 'Auto: On',
+    'controls.autoOff': 'Auto: Off',
+    'controls.retry': 'Retake',
+    'controls.showHeatmap': 'Show Heatmap',
+    'controls.hideHeatmap': 'Hide Heatmap',
+    'controls.history': 'History',
+    'controls.tryOn': 'Try-on',
+    'controls.closeTryOn': 'Close try-on',
+    'controls.localOn': 'On-device only: On',
+    'controls.localOff': 'On-device only: Off',
+    'overlay.tessellation': 'Mesh',
+    'overlay.contours': 'Contours',
+    'overlay.measurements': 'Measurements',
+    'overlay.points': 'Points',
+    'overlay.none': 'No overlay',
+
+    // Heatmap
+    'heatmap.all': 'All',
+    'heatmap.allLayers': 'All layers',
+    'heatmap.option.oiliness': 'Oiliness (T-zone)',
+    'heatmap.option.texture': 'Texture (cheeks)',
+    'heatmap.option.beard': 'Beard (chin/jaw)',
+    'layer.oiliness': 'Oiliness',
+    'layer.texture': 'Texture',
+    'layer.beard': 'Beard',
+
+    // Virtual try-on (tryOn.js)
+    'tryon.beard': 'Beard',
+    'tryon.moustache': 'Moustache',
+    'tryon.glasses': 'Glasses',
+    'tryon.opacity': 'Opacity',
+    'tryon.export': 'Save preview',
+    'tryon.style.none': 'None',
+    'tryon.style.full': 'Full beard',
+    'tryon.style.boxed': 'Short boxed beard',
+    'tryon.style.goatee': 'Goatee',
+    'tryon.style.chevron': 'Chevron',
+    'tryon.style.pencil': 'Pencil',
+    'tryon.style.handlebar': 'Handlebar',
+    'tryon.style.round': 'Round',
+    'tryon.style.rectangular': 'Rectangular',
+    'tryon.style.aviator': 'Aviator',
+
+    // Multiple faces
+    'faces.pickerTitle': 'Several faces detected. Tap a face or choose:',
+    'faces.detected': '{count} faces detected',
+    'faces.face': 'Face {number}',
+    'faces.all': 'Analyze all',
+    'faces.suffix': ' (face {number})',
+
+    // Report
+    'report.title': 'Real-Time Report',
+    'report.why': 'Why?',
+    'report.waiting': 'Waiting for face analysis...',
+    'metric.symmetry': 'Symmetry',
+    'metric.texture': 'Texture',
+    'metric.oiliness': 'Oiliness',
+    'metric.beardDensity': 'Beard Density',
+    'metric.beardShort': 'Beard',
+    'metric.textureTitle': 'Texture / Roughness',
+    'metric.oilinessTitle': 'Oiliness (Shine)',
+    'metric.confidence': 'Confidence {confidence}% ({samples} frames)',
+
+    'shape.title': 'Face Shape',
+    'shape.local': 'Local (Landmarks)',
+    'shape.ai': 'AI',
+    'shape.oval': 'Oval',
+    'shape.square': 'Square',
+    'shape.round': 'Round',
+    'shape.diamond': 'Diamond',
+    'shape.heart': 'Heart',
+    'shape.oblong': 'Oblong',
+    'shape.disagree': '⚠ Mismatch: the local measurement suggests {shape} ({confidence}%).',
+    'shape.agree': '✓ AI and local measurement agree ({confidence}%).',
+    'shape.unrecognized': 'AI answer not recognized. Local: {shape} ({confidence}%).',
+    'shape.localOnly': 'Local confidence: {confidence}% (no AI answer).',
+
+    'geo.title': 'Facial Geometry',
+    'geo.asymmetry': 'Asymmetry',
+    'geo.pose': 'Head Pose',
+    'geo.thirds': 'Facial Thirds',
+    'geo.fifths': 'Facial Fifths',
+    'geo.canthal': 'Canthal Tilt',
+    'geo.gonial': 'Gonial Angle',
+    'geo.fwhr': 'fWHR (Width/Height)',
+    'geo.asymmetryDetail': 'Eyes {eyes}% · Brows {brows}%\nMouth {mouth}% · Nose {nose}% · Jaw {jaw}%',
+    'geo.thirdsDetail': 'Deviation from ideal (1/3 each): {deviation}%',
+    'geo.fifthsDetail': 'Deviation from ideal (1/5 each)\n{segments}',
+    'geo.sides': 'L {left} · R {right}',
+    'geo.fwhrDetail': 'Bizygomatic width / upper face height',
+
+    'insights.title': 'AI Insights',
+    'insights.metric': '{label}: {value}%',
+    'insights.skinQuality': 'Skin quality (AI): {value}%',
+    'insights.textureLevel': 'Detected skin texture: {level}',
+    'insights.high': 'High',
+    'insights.smooth': 'Smooth',
+    'insights.frames': 'Capture: {kept} of {total} frames used',
+
+    'explain.symmetry': 'Local measurement: mean asymmetry of {value}% of the face width (corrected for head pose).',
+    'explain.texture': 'Local measurement: high-frequency energy on the cheeks ({value}% = {level}).',
+    'explain.textureRough': 'more uneven skin',
+    'explain.textureSmooth': 'smoother skin',
+    'explain.oiliness': 'Local measurement: share of specular highlights (shine) on the forehead.',
+    'explain.beard': 'Local measurement: dark pixel coverage on the chin compared with the cheek skin.',
+
+    'strengths.title': 'Strengths',
+    'strengths.none': 'The AI reported no strengths.',
+    'strengths.needsAi': 'Available with the AI analysis.',
+    'suggestions.title': 'Suggestions',
+    'suggestions.placeholder': 'Center your face in the camera.',
+    'suggestions.none': 'The AI returned no suggestions.',
+    'suggestions.needsAi': 'Suggestions available with the AI analysis.',
+    'suggestions.source.ai': 'AI',
+    'suggestions.source.rules': 'Metrics',
+    'suggestions.source.both': 'AI + Metrics',
+    'category.grooming': 'Hair & Beard',
+    'category.skincare': 'Skincare',
+    'category.posture': 'Posture',
+    'category.general': 'General',
+
+    // Export
+    'export.title': 'Export',
+    'export.png': 'PNG Card',
+    'export.report': 'Report / PDF',
+    'export.json': 'JSON Data',
+    'export.note': 'Generated on your device, nothing is uploaded.',
+    'export.cardShape': 'Shape: {shape}',
+    'export.reportTitle': 'Analysis Report',
+    'export.metrics': 'Metrics',
+    'export.noExplanation': 'No explanation available.',
+    'export.notAvailable': 'Not available.',
+    'export.geoOverall': 'Overall asymmetry',
+    'export.geoFeatures': 'Eyes / Brows / Mouth / Nose / Jaw',
+    'export.geoPose': 'Pose (yaw / pitch / roll)',
+
+    // History
+    'history.title': 'Analysis History',
+    'history.close': 'Close',
+    'history.evolution': 'Progress',
+    'history.beforeAfter': 'Before / After',
+    'history.sessions': 'Sessions',
+    'history.unavailable': 'History unavailable: {error}',
+    'history.noIndexedDb': 'This browser does not support IndexedDB.',
+    'history.confirmDelete': 'Delete this analysis from history?',
+    'history.empty': 'No saved analyses yet.',
+    'history.delete': 'Delete',
+    'history.summary': 'Sym. {symmetry}% · Text. {texture}% · Oil {oiliness}% · Beard {beardDensity}%',
+    'history.hint': 'Select two analyses to compare before/after.',
+    'history.before': 'Before',
+    'history.after': 'After',
+
+    // Privacy / consent (privacy.js)
+    'privacy.open': 'Privacy',
+    'privacy.title': 'Send the photo to the AI?',
+    'privacy.what': 'Symmetry, skin and beard metrics are computed on your device. For the AI comments, a crop of your face (JPEG) is sent to our server and to the configured AI provider (Google Gemini or OpenAI).',
+    'privacy.retention': 'The server does not keep the photo: it only lives in memory during the analysis and is erased right after. Only the analysis result may be cached, never the image, and none of it is logged.',
+    'privacy.change': 'You can change this choice at any time with the "On-device only" button.',
+    'privacy.accept': 'I agree, send to the AI',
+    'privacy.decline': 'Keep it on my device'
+};
@@ -0,0 +1,258 @@
+// Português (padrão). Chaves planas com {placeholders}, ver i18n.js.
+export default {
+    'locale.tag': 'pt-BR',
+    'locale.name': 'Português',
+
+    // Intro
+    'intro.tagline': 'Análise facial profissional com Inteligência Artificial.',
+    'intro.symmetry': '✨ Simetria',
+    'intro.skin': '💧 Pele',
+    'intro.beard': '🧔 Barba',
+    'intro.start': 'Analisar Rosto',
+    'intro.upload': 'Carregar Foto',
+    'intro.history': 'Ver Histórico de Análises',
+    'intro.language': 'Idioma',
+    'intro.loading': 'Carregando...',
+
+    // Loading
+    'loading.default': 'Processando...',
+    'loading.traits': 'Analisando traços...',
+    'loading.readingFile': 'Lendo arquivo...',
+    'loading.models': 'Carregando modelos IA...',
+    'loading.capture': 'Processando Captura...',
+    'loading.detecting': 'Detectando rosto...',
+    'loading.analyzing': 'Analisando{suffix}...',
+    'loading.uploading': 'Enviando imagem{suffix}...',
+    'loading.cancel': 'Cancelar',
+    'stream.received': 'Imagem recebida pelo servidor...',
+    'stream.preprocessed': 'Imagem preparada...',
+    'stream.model': 'Consultando a IA...',
+    'stream.repair': 'Corrigindo a resposta da IA...',
+    'stream.parsing': 'Interpretando a resposta...',
+    'stream.done': 'Análise concluída',
+
+    // Status bar
+    'status.starting': 'Iniciando câmera...',
+    'status.position': 'Posicione seu rosto',
+    'status.loadError': 'Erro no carregamento',
+    'status.capturing': 'Capturando...',
+    'status.holdStill': 'Segure firme...',
+    'status.processing': 'Processando...',
+    'status.done': 'Análise Concluída',
+    'status.queued': 'Análise local concluída (IA na fila até a conexão voltar)',
+    'status.cancelled': 'Análise local concluída (IA cancelada)',
+    'status.aiUnavailable': 'Análise local concluída (IA indisponível)',
+    'status.localOnly': 'Análise concluída no dispositivo (modo local)',
+
+    // Alerts / errors
+    'error.readImage': 'Erro ao ler imagem: {error}',
+    'error.loadModels': 'Erro ao carregar IA: {error}',
+    'error.camera': 'Permissão de câmera negada. Por favor, permita o acesso para continuar.',
+    'error.noFace': 'Nenhum rosto detectado. Tente uma foto com iluminação melhor e de frente.',
+    'error.api': 'Erro na análise (API): {error}\nMostrando apenas as métricas locais.',
+    'error.analysis': 'Erro na análise: {error}',
+    'error.encode': 'Falha ao codificar a imagem.',
+    'error.connectionLost': 'A conexão com o servidor foi interrompida.',
+
+    // Server error codes (server/errors.js)
+    'api.NO_FILE': 'Nenhuma imagem foi enviada.',
+    'api.EMPTY_FILE': 'O arquivo enviado está vazio.',
+    'api.UNEXPECTED_FIELD': 'Envie apenas uma imagem por vez.',
+    'api.UPLOAD_FAILED': 'Falha ao enviar a imagem. Tente novamente.',
+    'api.FILE_TOO_LARGE': 'A imagem é grande demais. Use uma foto menor.',
+    'api.UNSUPPORTED_IMAGE_TYPE': 'Formato não suportado. Use JPEG, PNG, WebP ou HEIC.',
+    'api.IMAGE_DECODE_FAILED': 'Não foi possível ler a imagem. O arquivo pode estar corrompido.',
+    'api.IMAGE_TOO_SMALL': 'A imagem é pequena demais para a análise.',
+    'api.AI_NO_JSON': 'A IA não devolveu uma análise válida. Tente novamente.',
+    'api.AI_INVALID_JSON': 'A IA devolveu uma análise corrompida. Tente novamente.',
+    'api.AI_SCHEMA_MISMATCH': 'A análise da IA veio incompleta. Tente novamente.',
+    'api.AI_PROVIDER_ERROR': 'O serviço de IA está indisponível no momento.',
+    'api.UNAUTHORIZED': 'Acesso à análise da IA não autorizado.',
+    'api.FORBIDDEN': 'Acesso à análise da IA não autorizado.',
+    'api.RATE_LIMITED': 'Muitas análises em pouco tempo.',
+    'api.ORIGIN_NOT_ALLOWED': 'Este site não tem permissão para usar o servidor de análise.',
+    'api.CANCELLED': 'A análise foi cancelada.',
+    'api.NOT_FOUND': 'O servidor de análise não oferece esta rota.',
+    'api.INTERNAL_ERROR': 'Erro ao processar a imagem. Tente novamente.',
+    'api.retryAfter': ' Tente novamente em {seconds}s.',
+    'api.serverError': 'Erro no servidor: {status}',
+
+    // Capture quality gate (quality.js reasons)
+    'quality.noFace': 'Nenhum rosto detectado',
+    'quality.tooSmall': 'Aproxime-se da câmera',
+    'quality.tooLarge': 'Afaste-se um pouco',
+    'quality.offCenter': 'Centralize o rosto',
+    'quality.yaw': 'Olhe de frente para a câmera',
+    'quality.roll': 'Endireite a cabeça',
+    'quality.pitch': 'Mantenha o queixo reto',
+    'quality.dark': 'Ambiente escuro: procure mais luz',
+    'quality.bright': 'Luz forte demais no rosto',
+    'quality.backlit': 'Contraluz: fique de frente para a luz',
+    'quality.whiteBalance': 'Luz muito colorida: prefira luz branca',
+    'quality.blurry': 'Imagem tremida: fique parado',
+    'quality.ok': 'Pronto! Toque em Capturar',
+
+    // Controls
+    'controls.capture': 'Capturar Análise',
+    'controls.overlayStyle': 'Estilo da malha',
+    'controls.autoOn': 'Auto: On',
+    'controls.autoOff': 'Auto: Off',
+    'controls.retry': 'Refazer',
+    'controls.showHeatmap': 'Ver Heatmap',
+    'controls.hideHeatmap': 'Ocultar Heatmap',
+    'controls.history': 'Histórico',
+    'controls.tryOn': 'Provador',
+    'controls.closeTryOn': 'Fechar provador',
+    'controls.localOn': 'Só no dispositivo: On',
+    'controls.localOff': 'Só no dispositivo: Off',
+    'overlay.tessellation': 'Malha',
+    'overlay.contours': 'Contornos',
+    'overlay.measurements': 'Medidas',
+    'overlay.points': 'Pontos',
+    'overlay.none': 'Sem overlay',
+
+    // Heatmap
+    'heatmap.all': 'Todas',
+    'heatmap.allLayers': 'Todas as camadas',
+    'heatmap.option.oiliness': 'Oleosidade (zona T)',
+    'heatmap.option.texture': 'Textura (bochechas)',
+    'heatmap.option.beard': 'Barba (queixo/mandíbula)',
+    'layer.oiliness': 'Oleosidade',
+    'layer.texture': 'Textura',
+    'layer.beard': 'Barba',
+
+    // Virtual try-on (tryOn.js)
+    'tryon.beard': 'Barba',
+    'tryon.moustache': 'Bigode',
+    'tryon.glasses': 'Óculos',
+    'tryon.opacity': 'Opacidade',
+    'tryon.export': 'Salvar prévia',
+    'tryon.style.none': 'Nenhum',
+    'tryon.style.full': 'Barba cheia',
+    'tryon.style.boxed': 'Barba curta (boxed)',
+    'tryon.style.goatee': 'Cavanhaque',
+    'tryon.style.chevron': 'Chevron',
+    'tryon.style.pencil': 'Fino (pencil)',
+    'tryon.style.handlebar': 'Handlebar',
+    'tryon.style.round': 'Redondo',
+    'tryon.style.rectangular': 'Retangular',
+    'tryon.style.aviator': 'Aviador',
+
+    // Multiple faces
+    'faces.pickerTitle': 'Vários rostos detectados. Toque em um rosto ou escolha:',
+    'faces.detected': '{count} rostos detectados',
+    'faces.face': 'Rosto {number}',
+    'faces.all': 'Analisar todos',
+    'faces.suffix': ' (rosto {number})',
+
+    // Report
+    'report.title': 'Relatório em Tempo Real',
+    'report.why': 'Por quê?',
+    'report.waiting': 'Aguardando análise facial...',
+    'metric.symmetry': 'Simetria',
+    'metric.texture': 'Textura',
+    'metric.oiliness': 'Oleosidade',
+    'metric.beardDensity': 'Densidade Barba',
+    'metric.beardShort': 'Barba',
+    'metric.textureTitle': 'Textura / Rugosidade',
+    'metric.oilinessTitle': 'Oleosidade (Brilho)',
+    'metric.confidence': 'Confiança {confidence}% ({samples} quadros)',
+
+    'shape.title': 'Formato do Rosto',
+    'shape.local': 'Local (Landmarks)',
+    'shape.ai': 'IA',
+    'shape.oval': 'Oval',
+    'shape.square': 'Quadrado',
+    'shape.round': 'Redondo',
+    'shape.diamond': 'Diamante',
+    'shape.heart': 'Coração',
+    'shape.oblong': 'Oblongo',
+    'shape.disagree': '⚠ Divergência: a medição local indica {shape} ({confidence}%).',
+    'shape.agree': '✓ IA e medição local concordam ({confidence}%).',
+    'shape.unrecognized': 'Resposta da IA não reconhecida. Local: {shape} ({confidence}%).',
+    'shape.localOnly': 'Confiança local: {confidence}% (sem resposta da IA).',
+
+    'geo.title': 'Geometria Facial',
+    'geo.asymmetry': 'Assimetria',
+    'geo.pose': 'Pose da Cabeça',
+    'geo.thirds': 'Terços Faciais',
+    'geo.fifths': 'Quintos Faciais',
+    'geo.canthal': 'Inclinação Cantal',
+    'geo.gonial': 'Ângulo Goníaco',
+    'geo.fwhr': 'fWHR (Largura/Altura)',
+    'geo.asymmetryDetail': 'Olhos {eyes}% · Sobrancelhas {brows}%\nBoca {mouth}% · Nariz {nose}% · Mandíbula {jaw}%',
+    'geo.thirdsDetail': 'Desvio do ideal (1/3 cada): {deviation}%',
+    'geo.fifthsDetail': 'Desvio do ideal (1/5 cada)\n{segments}',
+    'geo.sides': 'Esq. {left} · Dir. {right}',
+    'geo.fwhrDetail': 'Largura bizigomática / altura facial superior',
+
+    'insights.title': 'Insights da IA',
+    'insights.metric': '{label}: {value}%',
+    'insights.skinQuality': 'Qualidade da pele (IA): {value}%',
+    'insights.textureLevel': 'Textura de pele detectada: {level}',
+    'insights.high': 'Alta',
+    'insights.smooth': 'Suave',
+    'insights.frames': 'Captura: {kept} de {total} quadros usados',
+
+    'explain.symmetry': 'Medição local: assimetria média de {value}% da largura do rosto (corrigida pela pose da cabeça).',
+    'explain.texture': 'Medição local: energia de alta frequência nas bochechas ({value}% = {level}).',
+    'explain.textureRough': 'pele mais irregular',
+    'explain.textureSmooth': 'pele mais lisa',
+    'explain.oiliness': 'Medição local: proporção de reflexos especulares (brilho) na testa.',
+    'explain.beard': 'Medição local: cobertura de pixels escuros no queixo comparada à pele das bochechas.',
+
+    'strengths.title': 'Pontos Fortes',
+    'strengths.none': 'Nenhum ponto forte informado pela IA.',
+    'strengths.needsAi': 'Disponível com a análise da IA.',
+    'suggestions.title': 'Sugestões',
+    'suggestions.placeholder': 'Posicione o rosto no centro da câmera.',
+    'suggestions.none': 'A IA não retornou sugestões.',
+    'suggestions.needsAi': 'Sugestões disponíveis com a análise da IA.',
+    'suggestions.source.ai': 'IA',
+    'suggestions.source.rules': 'Métricas',
+    'suggestions.source.both': 'IA + Métricas',
+    'category.grooming': 'Cabelo & Barba',
+    'category.skincare': 'Skincare',
+    'category.posture': 'Postura',
+    'category.general': 'Geral',
+
+    // Export
+    'export.title': 'Exportar',
+    'export.png': 'Cartão PNG',
+    'export.report': 'Relatório / PDF',
+    'export.json': 'Dados JSON',
+    'export.note': 'Gerado no seu dispositivo, nada é enviado.',
+    'export.cardShape': 'Formato: {shape}',
+    'export.reportTitle': 'Relatório de Análise',
+    'export.metrics': 'Métricas',
+    'export.noExplanation': 'Sem explicação disponível.',
+    'export.notAvailable': 'Não disponível.',
+    'export.geoOverall': 'Assimetria geral',
+    'export.geoFeatures': 'Olhos / Sobrancelhas / Boca / Nariz / Mandíbula',
+    'export.geoPose': 'Pose (yaw / pitch / roll)',
+
+    // History
+    'history.title': 'Histórico de Análises',
+    'history.close': 'Fechar',
+    'history.evolution': 'Evolução',
+    'history.beforeAfter': 'Antes / Depois',
+    'history.sessions': 'Sessões',
+    'history.unavailable': 'Histórico indisponível: {error}',
+    'history.noIndexedDb': 'IndexedDB indisponível neste navegador.',
+    'history.confirmDelete': 'Excluir esta análise do histórico?',
+    'history.empty': 'Nenhuma análise salva ainda.',
+    'history.delete': 'Excluir',
+    'history.summary': 'Sim. {symmetry}% · Text. {texture}% · Óleo {oiliness}% · Barba {beardDensity}%',
+    'history.hint': 'Selecione duas análises para comparar antes/depois.',
+    'history.before': 'Antes',
+    'history.after': 'Depois',
+
+    // Privacy / consent (privacy.js)
+    'privacy.open': 'Privacidade',
+    'privacy.title': 'Enviar a foto para a IA?',
+    'privacy.what': 'As métricas de simetria, pele e barba são calculadas no seu dispositivo. Para os comentários da IA, um recorte do rosto (JPEG) é enviado ao nosso servidor e ao provedor de IA configurado (Google Gemini ou OpenAI).',
+    'privacy.retention': 'O servidor não guarda a foto: ela fica só na memória durante a análise e é apagada em seguida. Só o resultado da análise pode ficar em cache, nunca a imagem, e nada disso vai para os logs.',
+    'privacy.change': 'Você pode mudar esta escolha a qualquer momento no botão "Só no dispositivo".',
+    'privacy.accept': 'Concordo, enviar para a IA',
+    'privacy.decline': 'Usar só no dispositivo'
+};
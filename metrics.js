@@ -0,0 +1,136 @@
+/**
+ * Pixel Metrics - deterministic skin/beard measurements
+ *
+ * Every function takes an ImageData-like object ({ data, width, height })
+ * and returns a 0-100 score. No DOM access, no randomness: the same pixels
+ * always give the same score.
+ */
+
+export const DEFAULT_THRESHOLDS = { oiliness: 200, beardDarkness: 100 };
+
+// Rec. 601 luma, same weights the browser uses for grayscale
+function luma(r, g, b) {
+    return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+function clampScore(val) {
+    if (!isFinite(val)) return 0;
+    return Math.max(0, Math.min(100, Math.round(val)));
+}
+
+// Grayscale copy of the region. Fully transparent pixels (outside a mask)
+// are stored as NaN so the metrics can skip them.
+function toGray(img) {
+    const { data, width, height } = img;
+    const gray = new Float32Array(width * height);
+    for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+        gray[p] = data[i + 3] === 0 ? NaN : luma(data[i], data[i + 1], data[i + 2]);
+    }
+    return gray;
+}
+
+function isEmpty(img) {
+    return !img || !img.data || img.width < 1 || img.height < 1;
+}
+
+/**
+ * Skin texture / roughness.
+ * Mean absolute response of a 3x3 Laplacian (high-frequency energy),
+ * normalised by the region's own brightness so lighting changes don't
+ * dominate the score.
+ */
+export function calculateTextureMetric(img) {
+    if (isEmpty(img) || img.width < 3 || img.height < 3) return 0;
+
+    const { width, height } = img;
+    const gray = toGray(img);
+    let sum = 0, sumLuma = 0, count = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const c = gray[y * width + x];
+            const n = gray[(y - 1) * width + x];
+            const s = gray[(y + 1) * width + x];
+            const w = gray[y * width + x - 1];
+            const e = gray[y * width + x + 1];
+            // NaN in any neighbour (masked out) propagates and is skipped
+            const lap = Math.abs(4 * c - n - s - w - e);
+            if (isNaN(lap)) continue;
+            sum += lap;
+            sumLuma += c;
+            count++;
+        }
+    }
+    if (count === 0) return 0;
+
+    const meanLap = sum / count;
+    const meanLuma = Math.max(sumLuma / count, 1);
+    // ~12% relative high-frequency energy is already very rough skin
+    return clampScore((meanLap / meanLuma) / 0.12 * 100);
+}
+
+/**
+ * Oiliness (shine).
+ * Share of specular highlights: very bright, low-saturation pixels.
+ * Matte skin has almost none, oily skin reflects light in patches.
+ */
+export function calculateOilinessMetric(img, thresholds = DEFAULT_THRESHOLDS) {
+    if (isEmpty(img)) return 0;
+
+    const { data } = img;
+    let highlights = 0, count = 0;
+
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        const r = data[i], g = data[i + 1], b = data[i + 2];
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const saturation = max === 0 ? 0 : (max - min) / max;
+        count++;
+        if (luma(r, g, b) >= thresholds.oiliness && saturation < 0.25) highlights++;
+    }
+    if (count === 0) return 0;
+
+    // 20% of the forehead covered by highlights maps to the top of the scale
+    return clampScore((highlights / count) / 0.2 * 100);
+}
+
+function darkCoverage(img, limit) {
+    const { data } = img;
+    let dark = 0, count = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        count++;
+        if (luma(data[i], data[i + 1], data[i + 2]) < limit) dark++;
+    }
+    return count === 0 ? NaN : dark / count;
+}
+
+function medianLuma(img) {
+    const values = Array.from(toGray(img)).filter(v => !isNaN(v));
+    if (values.length === 0) return NaN;
+    values.sort((a, b) => a - b);
+    return values[Math.floor(values.length / 2)];
+}
+
+/**
+ * Beard density.
+ * Dark-pixel coverage on the chin relative to the cheek, which serves as
+ * the bare-skin reference. The darkness cut-off adapts to the cheek tone so
+ * darker skin isn't read as a full beard.
+ */
+export function calculateBeardMetric(chin, cheek, thresholds = DEFAULT_THRESHOLDS) {
+    if (isEmpty(chin)) return 0;
+
+    const skinTone = isEmpty(cheek) ? NaN : medianLuma(cheek);
+    const limit = isNaN(skinTone)
+        ? thresholds.beardDarkness
+        : Math.min(thresholds.beardDarkness, skinTone * 0.65);
+
+    const chinCoverage = darkCoverage(chin, limit);
+    if (isNaN(chinCoverage)) return 0;
+    const cheekCoverage = isEmpty(cheek) ? 0 : (darkCoverage(cheek, limit) || 0);
+
+    if (cheekCoverage >= 1) return 0;
+    return clampScore((chinCoverage - cheekCoverage) / (1 - cheekCoverage) * 100);
+}
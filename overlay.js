@@ -0,0 +1,171 @@
+/**
+ * Overlay Renderer - FaceMesh drawing styles
+ *
+ * Draws straight from the detector's `keypoints` ({ x, y, z }), so it works
+ * on live predictions as well as on the stored analysis face.
+ */
+
+import { util, SupportedModels } from '@tensorflow-models/face-landmarks-detection';
+import { getLandmarks } from './analysis.js';
+
+// Labels live in the i18n catalogs (overlay.<style>)
+export const OVERLAY_STYLES = ['points', 'tessellation', 'contours', 'measurements', 'none'];
+
+// Closed feature paths ("left" = image left, landmark 234 side)
+export const CONTOURS = {
+    faceOval: [10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377,
+        152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109],
+    lipsOuter: [61, 146, 91, 181, 84, 17, 314, 405, 321, 375, 291, 409, 270, 269, 267, 0, 37, 39, 40, 185],
+    lipsInner: [78, 95, 88, 178, 87, 14, 317, 402, 318, 324, 308, 415, 310, 311, 312, 13, 82, 81, 80, 191],
+    leftEye: [33, 7, 163, 144, 145, 153, 154, 155, 133, 173, 157, 158, 159, 160, 161, 246],
+    rightEye: [263, 249, 390, 373, 374, 380, 381, 382, 362, 398, 384, 385, 386, 387, 388, 466],
+    leftEyebrow: [70, 63, 105, 66, 107, 55, 65, 52, 53, 46],
+    rightEyebrow: [300, 293, 334, 296, 336, 285, 295, 282, 283, 276]
+};
+
+// Iris centre + ring, only present with refineLandmarks (478 points)
+const IRISES = [[468, [469, 470, 471, 472]], [473, [474, 475, 476, 477]]];
+
+const COLORS = {
+    points: 'rgba(120, 255, 120, 0.5)',
+    mesh: 'rgba(255, 255, 255, 0.18)',
+    contour: 'rgba(99, 102, 241, 0.9)',
+    iris: 'rgba(16, 185, 129, 0.9)',
+    measure: 'rgba(250, 204, 21, 0.9)',
+    midline: 'rgba(236, 72, 153, 0.9)'
+};
+
+// Any face getLandmarks (analysis.js) accepts, as { x, y, z } keypoints
+export function toKeypoints(face) {
+    if (face?.keypoints) return face.keypoints;
+    const landmarks = getLandmarks(face);
+    return landmarks ? landmarks.map(([x, y, z]) => ({ x, y, z })) : null;
+}
+
+// Triangle edges from the detector package, built once
+let meshPairs;
+function getMeshPairs() {
+    if (meshPairs === undefined) {
+        try {
+            meshPairs = util.getAdjacentPairs(SupportedModels.MediaPipeFaceMesh);
+        } catch (e) {
+            console.warn("Tessellation unavailable, falling back to points", e);
+            meshPairs = null;
+        }
+    }
+    return meshPairs;
+}
+
+function polyline(ctx, kp, indices, close = true) {
+    ctx.beginPath();
+    indices.forEach((i, n) => (n === 0 ? ctx.moveTo(kp[i].x, kp[i].y) : ctx.lineTo(kp[i].x, kp[i].y)));
+    if (close) ctx.closePath();
+    ctx.stroke();
+}
+
+function drawPoints(ctx, kp) {
+    ctx.fillStyle = COLORS.points;
+    kp.forEach((p, i) => {
+        if (i % 10 === 0) {
+            ctx.beginPath(); ctx.arc(p.x, p.y, 1, 0, 2 * Math.PI); ctx.fill();
+        }
+    });
+}
+
+function drawTessellation(ctx, kp, scale) {
+    const pairs = getMeshPairs();
+    if (!pairs) return drawPoints(ctx, kp);
+    ctx.strokeStyle = COLORS.mesh;
+    ctx.lineWidth = 0.5 * scale;
+    ctx.beginPath();
+    pairs.forEach(([a, b]) => {
+        if (!kp[a] || !kp[b]) return;
+        ctx.moveTo(kp[a].x, kp[a].y);
+        ctx.lineTo(kp[b].x, kp[b].y);
+    });
+    ctx.stroke();
+}
+
+function drawContours(ctx, kp, scale) {
+    ctx.strokeStyle = COLORS.contour;
+    ctx.lineWidth = 1.5 * scale;
+    Object.values(CONTOURS).forEach(indices => polyline(ctx, kp, indices));
+
+    if (kp.length >= 478) {
+        ctx.strokeStyle = COLORS.iris;
+        IRISES.forEach(([center, ring]) => {
+            const c = kp[center];
+            const r = ring.reduce((s, i) => s + Math.hypot(kp[i].x - c.x, kp[i].y - c.y), 0) / ring.length;
+            ctx.beginPath(); ctx.arc(c.x, c.y, r, 0, 2 * Math.PI); ctx.stroke();
+        });
+    }
+}
+
+// Line through `p` along unit direction `dir`, `half` px each way
+function axisLine(ctx, p, dir, half) {
+    ctx.beginPath();
+    ctx.moveTo(p.x - dir[0] * half, p.y - dir[1] * half);
+    ctx.lineTo(p.x + dir[0] * half, p.y + dir[1] * half);
+    ctx.stroke();
+}
+
+/**
+ * Guides for the geometry metrics: midline, thirds, fifths, canthal tilt,
+ * gonial angle and the fWHR box. Lines follow the face axis so head roll
+ * doesn't skew them.
+ */
+function drawMeasurements(ctx, kp, scale) {
+    const top = kp[10], chin = kp[152];
+    const len = Math.hypot(chin.x - top.x, chin.y - top.y) || 1;
+    const down = [(chin.x - top.x) / len, (chin.y - top.y) / len];
+    const across = [-down[1], down[0]];
+    const width = Math.hypot(kp[454].x - kp[234].x, kp[454].y - kp[234].y);
+
+    ctx.lineWidth = 1.2 * scale;
+    ctx.setLineDash([6 * scale, 4 * scale]);
+
+    // Midline
+    ctx.strokeStyle = COLORS.midline;
+    polyline(ctx, kp, [10, 152], false);
+
+    // Thirds: top, glabella, subnasale, menton
+    ctx.strokeStyle = COLORS.measure;
+    [10, 9, 2, 152].forEach(i => axisLine(ctx, kp[i], across, width / 2));
+
+    // Fifths: face edges + eye corners
+    [234, 33, 133, 362, 263, 454].forEach(i => axisLine(ctx, kp[i], down, len * 0.15));
+
+    ctx.setLineDash([]);
+
+    // Canthal tilt (inner -> outer corner)
+    polyline(ctx, kp, [133, 33], false);
+    polyline(ctx, kp, [362, 263], false);
+
+    // Gonial angle: face edge -> gonion -> menton
+    polyline(ctx, kp, [234, 172, 152], false);
+    polyline(ctx, kp, [454, 397, 152], false);
+
+    // fWHR: bizygomatic width and nasion -> upper lip height
+    ctx.strokeStyle = COLORS.contour;
+    polyline(ctx, kp, [234, 454], false);
+    polyline(ctx, kp, [168, 0], false);
+}
+
+/**
+ * Draws `face` on `ctx` in the given style (one of OVERLAY_STYLES).
+ * Line widths scale with the canvas so uploads of any size look the same.
+ */
+export function drawOverlay(ctx, face, style = 'points') {
+    const kp = toKeypoints(face);
+    if (!kp || kp.length < 468 || style === 'none') return;
+
+    const scale = Math.max(1, ctx.canvas.width / 640);
+    ctx.save();
+    switch (style) {
+        case 'tessellation': drawTessellation(ctx, kp, scale); break;
+        case 'contours': drawContours(ctx, kp, scale); break;
+        case 'measurements': drawContours(ctx, kp, scale); drawMeasurements(ctx, kp, scale); break;
+        default: drawPoints(ctx, kp);
+    }
+    ctx.restore();
+}
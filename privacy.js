@@ -0,0 +1,39 @@
+/**
+ * Privacy settings - upload consent and on-device-only mode
+ *
+ * Kept per user (this browser profile) in localStorage. No photo leaves the
+ * device until the user agrees to send it to the AI; with `localOnly` every
+ * analysis stays on-device and only the FaceMesh metrics are shown.
+ */
+
+const STORAGE_KEY = 'privacy';
+
+// consent: null = not asked yet, 'granted' | 'denied'
+const DEFAULTS = { consent: null, localOnly: false, decidedAt: null };
+
+export function getPrivacySettings() {
+    try {
+        return { ...DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+    } catch (e) {
+        return { ...DEFAULTS };
+    }
+}
+
+export function savePrivacySettings(changes) {
+    const settings = { ...getPrivacySettings(), ...changes };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    return settings;
+}
+
+// Records the answer to the consent dialog; declining switches to local only
+export function recordConsent(granted) {
+    return savePrivacySettings({
+        consent: granted ? 'granted' : 'denied',
+        localOnly: !granted,
+        decidedAt: Date.now()
+    });
+}
+
+export function canUpload(settings = getPrivacySettings()) {
+    return settings.consent === 'granted' && !settings.localOnly;
+}
@@ -0,0 +1,134 @@
+/**
+ * Capture Quality - live checks on the preview frame
+ *
+ * Pose, framing, sharpness and lighting of the face, evaluated on the
+ * keypoints plus an ImageData of the same (mirrored) frame. DOM-free.
+ */
+
+import { estimatePose } from './geometry.js';
+import { getLandmarks } from './analysis.js';
+
+export const DEFAULT_QUALITY = {
+    maxYaw: 15,
+    maxPitch: 20,
+    maxRoll: 10,
+    minFaceRatio: 0.25,     // face width / frame width
+    maxFaceRatio: 0.8,
+    maxCenterOffset: 0.15,  // face centre distance from frame centre, fraction of frame
+    minSharpness: 30,       // Laplacian variance on the face
+    exposure: [70, 210],    // mean face luma
+    maxBacklight: 1.5,      // background luma / face luma
+    redBlue: [0.95, 2.4]    // mean R / mean B on the face (skin is warm)
+};
+
+const luma = (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+function boundingBox(points) {
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    points.forEach(([x, y]) => {
+        if (x < minX) minX = x; if (x > maxX) maxX = x;
+        if (y < minY) minY = y; if (y > maxY) maxY = y;
+    });
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Lighting + sharpness inside the face box, and mean luma outside it
+ * (sampled every `step` pixels to stay cheap in the preview loop).
+ */
+export function measureFacePixels(frame, box, step = 2) {
+    const { data, width, height } = frame;
+    const x0 = Math.max(0, Math.floor(box.x)), x1 = Math.min(width - 1, Math.ceil(box.x + box.width));
+    const y0 = Math.max(0, Math.floor(box.y)), y1 = Math.min(height - 1, Math.ceil(box.y + box.height));
+
+    let faceLuma = 0, r = 0, b = 0, faceCount = 0;
+    let lapSum = 0, lapSq = 0, lapCount = 0;
+    const grayAt = (x, y) => {
+        const i = (y * width + x) * 4;
+        return luma(data[i], data[i + 1], data[i + 2]);
+    };
+
+    for (let y = y0 + step; y < y1 - step; y += step) {
+        for (let x = x0 + step; x < x1 - step; x += step) {
+            const i = (y * width + x) * 4;
+            const c = luma(data[i], data[i + 1], data[i + 2]);
+            faceLuma += c; r += data[i]; b += data[i + 2]; faceCount++;
+
+            const lap = 4 * c - grayAt(x - step, y) - grayAt(x + step, y) - grayAt(x, y - step) - grayAt(x, y + step);
+            lapSum += lap; lapSq += lap * lap; lapCount++;
+        }
+    }
+
+    let bgLuma = 0, bgCount = 0;
+    const bgStep = step * 4;
+    for (let y = 0; y < height; y += bgStep) {
+        for (let x = 0; x < width; x += bgStep) {
+            if (x >= x0 && x <= x1 && y >= y0 && y <= y1) continue;
+            bgLuma += grayAt(x, y); bgCount++;
+        }
+    }
+
+    const lapMean = lapCount ? lapSum / lapCount : 0;
+    return {
+        faceLuma: faceCount ? faceLuma / faceCount : 0,
+        backgroundLuma: bgCount ? bgLuma / bgCount : 0,
+        redBlue: b > 0 ? r / b : Infinity,
+        sharpness: lapCount ? lapSq / lapCount - lapMean * lapMean : 0
+    };
+}
+
+/**
+ * Evaluates one preview frame.
+ * Returns { ok, reason, checks, pose, box } where `checks` holds a
+ * boolean per check and `reason` is the first failing one (or 'ok').
+ */
+export function evaluateFrameQuality(face, frame, options = {}) {
+    const opts = { ...DEFAULT_QUALITY, ...options };
+    const points = getLandmarks(face);
+    if (!points || points.length < 468) {
+        return { ok: false, reason: 'noFace', checks: {} };
+    }
+
+    const pose = estimatePose(points);
+    const box = boundingBox(points);
+    const faceRatio = box.width / frame.width;
+    const cx = (box.x + box.width / 2) / frame.width - 0.5;
+    const cy = (box.y + box.height / 2) / frame.height - 0.5;
+    const px = measureFacePixels(frame, box);
+
+    // Ordered by what the user should fix first
+    const checks = {
+        tooSmall: faceRatio >= opts.minFaceRatio,
+        tooLarge: faceRatio <= opts.maxFaceRatio,
+        offCenter: Math.hypot(cx, cy) <= opts.maxCenterOffset,
+        yaw: Math.abs(pose.yaw) <= opts.maxYaw,
+        roll: Math.abs(pose.roll) <= opts.maxRoll,
+        pitch: Math.abs(pose.pitch) <= opts.maxPitch,
+        dark: px.faceLuma >= opts.exposure[0],
+        bright: px.faceLuma <= opts.exposure[1],
+        backlit: px.backgroundLuma / Math.max(px.faceLuma, 1) <= opts.maxBacklight,
+        whiteBalance: px.redBlue >= opts.redBlue[0] && px.redBlue <= opts.redBlue[1],
+        blurry: px.sharpness >= opts.minSharpness
+    };
+
+    const reason = Object.keys(checks).find(k => !checks[k]) || 'ok';
+    return {
+        ok: reason === 'ok',
+        reason,
+        checks,
+        pose: { yaw: pose.yaw, pitch: pose.pitch, roll: pose.roll },
+        box,
+        metrics: { faceRatio, ...px }
+    };
+}
+
+// Mean keypoint displacement between two frames, relative to face width
+export function frameMotion(prevPoints, points) {
+    if (!prevPoints || !points || prevPoints.length !== points.length) return Infinity;
+    const box = boundingBox(points);
+    let sum = 0;
+    for (let i = 0; i < points.length; i += 10) {
+        sum += Math.hypot(points[i][0] - prevPoints[i][0], points[i][1] - prevPoints[i][1]);
+    }
+    return sum / Math.ceil(points.length / 10) / Math.max(box.width, 1);
+}
@@ -0,0 +1,121 @@
+/**
+ * Recommendations - rule engine over the local measurements
+ *
+ * Maps the on-device metrics to the rules in knowledgeBase.js. Pure and
+ * deterministic (no DOM, no randomness, stable ordering), so the same
+ * analysis always yields the same list.
+ */
+
+import { KNOWLEDGE_BASE } from './knowledgeBase.js';
+import { CATEGORIES } from './suggestions.js';
+
+const round = v => Math.round(v * 10) / 10;
+const mean = values => {
+    const list = values.filter(v => typeof v === 'number');
+    return list.length ? round(list.reduce((s, v) => s + v, 0) / list.length) : null;
+};
+
+/**
+ * Flat facts for the rule conditions, from an analysisState and the face's
+ * regionScores (heatmap.js). Anything not measured is null.
+ */
+export function buildFacts(state = {}, regionScores = {}) {
+    const geo = state.geometry;
+    const p = geo?.proportions;
+    const oil = regionScores.oiliness || {};
+    const tex = regionScores.texture || {};
+    const beard = regionScores.beard || {};
+    const num = v => (typeof v === 'number' ? v : null);
+
+    const facts = {
+        shape: state.faceShape?.shape ?? null,
+        shapeConfidence: num(state.faceShape?.confidence),
+        symmetry: num(state.symmetry),
+        texture: num(state.texture),
+        oiliness: num(state.oiliness),
+        beardDensity: num(state.beardDensity),
+        foreheadOil: num(oil.forehead),
+        tZoneOil: num(oil.tZone),
+        cheekTexture: mean([tex.leftCheek, tex.rightCheek]),
+        underEyeTexture: mean([tex.leftUnderEye, tex.rightUnderEye]),
+        chinBeard: num(beard.chin),
+        jawBeard: num(beard.jawline),
+        thirdsUpper: num(p?.thirds.upper),
+        thirdsMiddle: num(p?.thirds.middle),
+        thirdsLower: num(p?.thirds.lower),
+        fwhr: num(p?.fwhr),
+        gonialAngle: num(p?.gonialAngle.mean),
+        canthalTilt: num(p?.canthalTilt.mean),
+        jawAsymmetry: num(geo?.asymmetry.jaw),
+        absPitch: geo ? round(Math.abs(geo.pose.pitch)) : null,
+        absRoll: geo ? round(Math.abs(geo.pose.roll)) : null
+    };
+    facts.beardGap = facts.chinBeard !== null && facts.jawBeard !== null
+        ? round(Math.abs(facts.chinBeard - facts.jawBeard))
+        : null;
+    return facts;
+}
+
+const OPERATORS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    in: (a, list) => list.includes(a),
+    between: (a, [min, max]) => a >= min && a <= max
+};
+
+export function matchesRule(rule, facts) {
+    return (rule.when || []).every(([fact, op, value]) => {
+        const actual = facts[fact];
+        if (actual === null || actual === undefined) return false;
+        const test = OPERATORS[op];
+        if (!test) throw new Error(`Unknown operator "${op}" in rule ${rule.id}`);
+        return test(actual, value);
+    });
+}
+
+function localized(texts, locale) {
+    return texts[locale] ?? texts.pt ?? Object.values(texts)[0] ?? '';
+}
+
+function fill(template, facts) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (facts[name] ?? match));
+}
+
+// Unknown categories go last
+const categoryOrder = category => {
+    const keys = Object.keys(CATEGORIES);
+    const index = keys.indexOf(category);
+    return index === -1 ? keys.length : index;
+};
+
+/**
+ * Matching rules as [{ id, category, slot, priority, text, rationale, keywords }],
+ * at most one per slot, ordered by category, then priority, then id.
+ */
+export function recommend(facts, { locale = 'pt', rules = KNOWLEDGE_BASE } = {}) {
+    const bySlot = new Map();
+    rules.filter(rule => matchesRule(rule, facts)).forEach(rule => {
+        const key = `${rule.category}:${rule.slot || rule.id}`;
+        const current = bySlot.get(key);
+        if (!current || rule.priority > current.priority ||
+            (rule.priority === current.priority && rule.id < current.id)) {
+            bySlot.set(key, rule);
+        }
+    });
+
+    return [...bySlot.values()]
+        .sort((a, b) => categoryOrder(a.category) - categoryOrder(b.category) ||
+            b.priority - a.priority ||
+            (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+        .map(rule => ({
+            id: rule.id,
+            category: rule.category,
+            slot: rule.slot || rule.id,
+            priority: rule.priority,
+            text: fill(localized(rule.text, locale), facts),
+            rationale: fill(localized(rule.rationale, locale), facts),
+            keywords: rule.keywords || []
+        }));
+}
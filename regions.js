@@ -0,0 +1,129 @@
+/**
+ * Facial Regions - landmark-polygon masks over the MediaPipe FaceMesh
+ *
+ * Zones are closed polygons of FaceMesh landmark indices. "left"/"right"
+ * follow the image (landmark 234 side is left), same as the rest of the app.
+ * Everything here works on plain ImageData-like objects, no DOM needed.
+ */
+
+export const ZONES = {
+    forehead: [54, 103, 67, 109, 10, 338, 297, 332, 284, 298, 333, 299, 337, 151, 108, 69, 104, 68],
+    tZone: [109, 10, 338, 337, 336, 285, 417, 351, 437, 420, 279, 358, 327, 2, 98, 129, 49, 198, 217, 122, 193, 55, 107, 108],
+    leftCheek: [116, 117, 118, 119, 120, 100, 142, 203, 206, 216, 207, 187, 147, 123],
+    rightCheek: [345, 346, 347, 348, 349, 329, 371, 423, 426, 436, 427, 411, 376, 352],
+    chin: [43, 106, 182, 83, 18, 313, 406, 335, 273, 422, 430, 394, 379, 378, 400, 377, 152, 148, 176, 149, 150, 169, 210, 202],
+    jawline: [
+        132, 58, 172, 136, 150, 149, 176, 148, 152, 377, 400, 378, 379, 365, 397, 288, 361,
+        401, 435, 367, 364, 394, 395, 369, 396, 175, 171, 140, 170, 169, 135, 138, 215, 177
+    ],
+    leftUnderEye: [33, 7, 163, 144, 145, 153, 154, 155, 133, 243, 112, 232, 231, 230, 229, 228, 31, 226, 130],
+    rightUnderEye: [263, 249, 390, 373, 374, 380, 381, 382, 362, 463, 341, 452, 451, 450, 449, 448, 261, 446, 359]
+};
+
+// Accepts [x, y, z] arrays or { x, y } keypoints
+function toXY(p) {
+    return Array.isArray(p) ? [p[0], p[1]] : [p.x, p.y];
+}
+
+export function zonePolygon(landmarks, name) {
+    const indices = ZONES[name];
+    if (!indices) throw new Error(`Unknown facial zone: ${name}`);
+    return indices.map(i => toXY(landmarks[i]));
+}
+
+// Shoelace formula, absolute value so winding order doesn't matter
+export function polygonArea(points) {
+    let sum = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        sum += points[j][0] * points[i][1] - points[i][0] * points[j][1];
+    }
+    return Math.abs(sum) / 2;
+}
+
+export function polygonCentroid(points) {
+    let cx = 0, cy = 0, signed = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const cross = points[j][0] * points[i][1] - points[i][0] * points[j][1];
+        signed += cross;
+        cx += (points[j][0] + points[i][0]) * cross;
+        cy += (points[j][1] + points[i][1]) * cross;
+    }
+    if (Math.abs(signed) < 1e-9) {
+        // Degenerate polygon: fall back to the vertex mean
+        const n = points.length || 1;
+        return [
+            points.reduce((s, p) => s + p[0], 0) / n,
+            points.reduce((s, p) => s + p[1], 0) / n
+        ];
+    }
+    return [cx / (3 * signed), cy / (3 * signed)];
+}
+
+// Even-odd ray casting
+export function pointInPolygon(x, y, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Cuts one zone out of a full frame.
+ * `frame` is the ImageData of the whole canvas the landmarks refer to.
+ * Returns the bounding-box pixels with everything outside the polygon made
+ * fully transparent (alpha 0), which the pixel metrics skip.
+ */
+export function extractRegion(frame, landmarks, name) {
+    const polygon = zonePolygon(landmarks, name);
+    const area = polygonArea(polygon);
+    const centroid = polygonCentroid(polygon);
+
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    polygon.forEach(([x, y]) => {
+        if (x < minX) minX = x; if (x > maxX) maxX = x;
+        if (y < minY) minY = y; if (y > maxY) maxY = y;
+    });
+    minX = Math.max(0, Math.floor(minX));
+    minY = Math.max(0, Math.floor(minY));
+    maxX = Math.min(frame.width, Math.ceil(maxX));
+    maxY = Math.min(frame.height, Math.ceil(maxY));
+
+    const width = maxX - minX, height = maxY - minY;
+    const bbox = { x: minX, y: minY, width: Math.max(0, width), height: Math.max(0, height) };
+    if (width < 1 || height < 1) {
+        return { name, polygon, area, centroid, bbox, pixels: null, pixelCount: 0 };
+    }
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    let pixelCount = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // Sample at the pixel centre
+            if (!pointInPolygon(minX + x + 0.5, minY + y + 0.5, polygon)) continue;
+            const src = ((minY + y) * frame.width + (minX + x)) * 4;
+            const dst = (y * width + x) * 4;
+            data[dst] = frame.data[src];
+            data[dst + 1] = frame.data[src + 1];
+            data[dst + 2] = frame.data[src + 2];
+            data[dst + 3] = 255;
+            pixelCount++;
+        }
+    }
+
+    return {
+        name, polygon, area, centroid, bbox,
+        pixels: pixelCount > 0 ? { data, width, height } : null,
+        pixelCount
+    };
+}
+
+export function extractRegions(frame, landmarks, names = Object.keys(ZONES)) {
+    const regions = {};
+    names.forEach(name => { regions[name] = extractRegion(frame, landmarks, name); });
+    return regions;
+}
@@ -0,0 +1,36 @@
+/**
+ * Result Renderer - draws an analyzed face onto a 2D canvas
+ *
+ * Composes the frame with the heatmap, mesh overlay, virtual try-on and face
+ * numbers. Takes a FaceAnalysis-like { face, frame } (analysis.js) plus view
+ * options and touches nothing but the given context.
+ */
+
+import { drawRegionHeatmap } from './heatmap.js';
+import { drawOverlay } from './overlay.js';
+import { drawTryOn } from './tryOn.js';
+import { drawFaceLabels } from './faces.js';
+
+/**
+ * Options:
+ *  heatmap: layer name or 'all', null = no heatmap
+ *  overlayStyle: one of OVERLAY_STYLES (overlay.js)
+ *  tryOn: try-on options (tryOn.js), null = off. Try-on shows the plain photo,
+ *         without heatmap or mesh
+ *  labels: [{ box, number }] for group photos, `active` is the highlighted number
+ *  mirrored: the canvas is displayed flipped in CSS
+ */
+export function renderAnalysis(ctx, { face, frame }, {
+    heatmap = null, overlayStyle = 'tessellation', tryOn = null, labels = [], active = null, mirrored = false
+} = {}) {
+    ctx.putImageData(frame, 0, 0);
+
+    if (tryOn) {
+        drawTryOn(ctx, face, frame, tryOn);
+    } else {
+        if (heatmap) drawRegionHeatmap(ctx, face.regions, face.regionScores, heatmap);
+        drawOverlay(ctx, face, overlayStyle);
+    }
+
+    if (labels.length > 1) drawFaceLabels(ctx, labels, active, mirrored);
+}
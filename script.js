@@ -1,21 +1,84 @@
 import './style.css';
+import '@fontsource/inter/300.css';
+import '@fontsource/inter/400.css';
+import '@fontsource/inter/500.css';
+import '@fontsource/inter/600.css';
+import '@fontsource/inter/700.css';
+import '@tensorflow/tfjs-core';
+import '@tensorflow/tfjs-converter';
+import '@tensorflow/tfjs-backend-webgl';
+import * as faceLandmarksDetection from '@tensorflow-models/face-landmarks-detection';
+import { analyzeFace, getLandmarks, mergeAiAnalysis } from './analysis.js';
+import { openCamera, grabMirroredFrame, captureBurst } from './camera.js';
+import { renderAnalysis } from './renderer.js';
+import { compareFaceShape } from './faceShape.js';
+import { mergeSuggestions } from './suggestions.js';
+import { buildFacts, recommend } from './recommendations.js';
+import { createSessionRecord, saveSession, updateSession, getSession, queueAnalysis, listQueued, removeQueued } from './history.js';
+import { initHistoryPanel, openHistoryPanel } from './historyPanel.js';
+import { evaluateFrameQuality, frameMotion } from './quality.js';
+import { drawOverlay, OVERLAY_STYLES } from './overlay.js';
+import { TRY_ON_STYLES, DEFAULT_TRY_ON } from './tryOn.js';
+import { buildExportJson, renderShareCard, buildPrintableReport } from './exporter.js';
+import { escapeHtml, downloadFile, fileStamp } from './utils.js';
+import { readEventStream } from './eventStream.js';
+import { landmarkBox, orderFaces, trackFaces, faceAt, cropRect, drawFaceLabels } from './faces.js';
+import { t, getLocale, setLocale, translatePage } from './i18n.js';
+import { getPrivacySettings, savePrivacySettings, recordConsent, canUpload } from './privacy.js';
 /**
  * Face Analysis System - Snapshot Flow
+ *
+ * App controller: DOM wiring, detector, AI requests and report. The
+ * measurements live in analysis.js, camera access in camera.js and the
+ * result drawing in renderer.js.
  */
 
 const CONFIG = {
     videoWidth: 640,
     videoHeight: 480,
     analysisInterval: 5, 
-    thresholds: { oiliness: 200, beardDarkness: 100 }
+    thresholds: { oiliness: 200, beardDarkness: 100 },
+    history: { enabled: true, thumbnails: true, thumbnailSize: 160 },
+    // Capture gate: thresholds override DEFAULT_QUALITY in quality.js
+    quality: { enabled: true, autoCapture: false, stableFrames: 6, maxMotion: 0.01, thresholds: {} },
+    // Multi-frame capture: outlier rejection + averaging (see burst.js)
+    burst: { frames: 5, intervalMs: 60, factor: 2.5, minDeviation: 0.01, penalty: 5 },
+    // Faces detected per frame; group photos get a picker and one report per face
+    maxFaces: 4,
+    // FaceMesh weights served by us (npm run models); tfhub is the fallback when missing
+    models: {
+        detector: '/models/face-detector/model.json',
+        landmarks: '/models/face-landmarks/model.json'
+    },
+    // Mesh overlay style (one of OVERLAY_STYLES in overlay.js), user choice is remembered
+    overlayStyle: localStorage.getItem('overlayStyle') || 'tessellation'
 };
 
+// Backend origin. Empty = same origin (Vite proxies /api in dev, Express serves
+// the build in production). Set VITE_API_BASE_URL for a separate API host.
+const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || '').replace(/\/+$/, '');
+// Optional shared token, must match API_TOKEN on the server. Not a secret:
+// VITE_* values are baked into the public bundle, anyone can read it.
+const API_TOKEN = import.meta.env.VITE_API_TOKEN || '';
+
 // State
 let model = null;
 let isModelLoaded = false;
 let isAnalysing = false;
 let animationId = null;
 let analysisState = { symmetry: 0, texture: 0, oiliness: 0, beardDensity: 0 };
+let frameCount = 0;
+let qualityState = { ok: false, stableCount: 0, lastPoints: null };
+// Last analyzed frame + face, kept so overlays can be redrawn (heatmap toggle etc.)
+let lastAnalysis = null;
+// In-flight AI request, aborted by the loader's cancel button
+let serverRequest = null;
+// Current analysis run, aborted by resetExperience so a run waiting on the
+// user (face picker, consent dialog) ends instead of hanging
+let pipelineAbort = null;
+// One entry per analyzed face: { number, box, face, frame, state, crop }
+let people = [];
+let activePerson = 0;
 
 // DOM
 const ui = {
@@ -27,9 +90,28 @@ const ui = {
     captureBtn: document.getElementById('capture-btn'),
     retryBtn: document.getElementById('retry-btn'),
     toggleHeatmap: document.getElementById('toggle-heatmap'),
+    heatmapControls: document.getElementById('heatmap-controls'),
+    heatmapLayer: document.getElementById('heatmap-layer'),
+    heatmapLegend: document.getElementById('heatmap-legend-title'),
+    tryOnBtn: document.getElementById('tryon-btn'),
+    tryOnControls: document.getElementById('tryon-controls'),
+    tryOnOpacity: document.getElementById('tryon-opacity'),
+    tryOnExport: document.getElementById('tryon-export'),
+    overlayStyle: document.getElementById('overlay-style'),
     sidebar: document.querySelector('.sidebar'),
     statusText: document.getElementById('status-text'),
-    statusDot: document.querySelector('.dot')
+    statusDot: document.querySelector('.dot'),
+    autoCaptureBtn: document.getElementById('auto-capture-btn'),
+    exportPngBtn: document.getElementById('export-png-btn'),
+    exportReportBtn: document.getElementById('export-report-btn'),
+    exportJsonBtn: document.getElementById('export-json-btn'),
+    facePicker: document.getElementById('face-picker'),
+    facePickerOptions: document.getElementById('face-picker-options'),
+    faceTabs: document.getElementById('face-tabs'),
+    localOnlyBtn: document.getElementById('local-only-btn'),
+    consentDialog: document.getElementById('consent-dialog'),
+    consentAccept: document.getElementById('consent-accept'),
+    consentDecline: document.getElementById('consent-decline')
 };
 
 const ctx = ui.canvas.getContext('2d');
@@ -38,6 +120,9 @@ const offCanvas = document.createElement('canvas');
 offCanvas.width = CONFIG.videoWidth; 
 offCanvas.height = CONFIG.videoHeight;
 const offCtx = offCanvas.getContext('2d', { willReadFrequently: true });
+// Preview frames for the capture quality gate (kept apart from offCanvas)
+const qualityCanvas = document.createElement('canvas');
+const qualityCtx = qualityCanvas.getContext('2d', { willReadFrequently: true });
 
 // --- 1. INTRO & SETUP ---
 async function init() {
@@ -48,6 +133,15 @@ async function init() {
         CONFIG.videoHeight = 640; // Portrait aspect
     }
     
+    // Language: static markup first so nothing flashes in the wrong locale
+    translatePage();
+    ui.statusText.innerText = t('status.starting');
+    document.querySelectorAll('.locale-select').forEach(select => {
+        select.value = getLocale();
+        select.addEventListener('change', () => setLocale(select.value));
+    });
+    window.addEventListener('localechange', onLocaleChange);
+
     // Load Models proactively but don't start camera
     loadModels();
 
@@ -56,6 +150,24 @@ async function init() {
     ui.captureBtn.addEventListener('click', captureSnapshot);
     ui.retryBtn.addEventListener('click', resetExperience);
     ui.toggleHeatmap.addEventListener('click', toggleHeatmapLayer);
+    if (ui.heatmapLayer) ui.heatmapLayer.addEventListener('change', renderResultCanvas);
+    initTryOn();
+    if (ui.overlayStyle) {
+        if (!OVERLAY_STYLES.includes(CONFIG.overlayStyle)) CONFIG.overlayStyle = 'tessellation';
+        ui.overlayStyle.value = CONFIG.overlayStyle;
+        ui.overlayStyle.addEventListener('change', () => {
+            CONFIG.overlayStyle = ui.overlayStyle.value;
+            localStorage.setItem('overlayStyle', CONFIG.overlayStyle);
+            renderResultCanvas();
+        });
+    }
+    if (ui.autoCaptureBtn) ui.autoCaptureBtn.addEventListener('click', toggleAutoCapture);
+    updateAutoCaptureButton();
+
+    // Privacy: consent dialog + on-device-only toggle
+    if (ui.localOnlyBtn) ui.localOnlyBtn.addEventListener('click', toggleLocalOnly);
+    document.querySelectorAll('.privacy-open').forEach(btn => btn.addEventListener('click', () => askUploadConsent()));
+    updateLocalOnlyButton();
     
     // File Upload Handlers
     const uploadTrigger = document.getElementById('upload-trigger-btn');
@@ -65,11 +177,38 @@ async function init() {
         uploadTrigger.addEventListener('click', () => fileInput.click());
         fileInput.addEventListener('change', handleFileUpload);
     }
+
+    // History
+    initHistoryPanel();
+    document.querySelectorAll('.history-open').forEach(btn => btn.addEventListener('click', openHistoryPanel));
+
+    // Export
+    if (ui.exportPngBtn) ui.exportPngBtn.addEventListener('click', exportShareCard);
+    if (ui.exportReportBtn) ui.exportReportBtn.addEventListener('click', exportPrintableReport);
+    if (ui.exportJsonBtn) ui.exportJsonBtn.addEventListener('click', exportJson);
+
+    // Offline: app shell + models from the service worker, AI requests queued
+    if ('serviceWorker' in navigator && import.meta.env.PROD) {
+        navigator.serviceWorker.register('/sw.js').catch(e => console.warn("Service worker registration failed", e));
+    }
+    window.addEventListener('online', flushAnalysisQueue);
+    flushAnalysisQueue();
+}
+
+// Static text is handled by translatePage(); this redraws the dynamic parts
+function onLocaleChange() {
+    document.querySelectorAll('.locale-select').forEach(select => { select.value = getLocale(); });
+    updateAutoCaptureButton();
+    updateLocalOnlyButton();
+    renderTryOnOptions();
+    renderResultCanvas();
+    renderFaceTabs();
+    if (lastAnalysis) updateUI();
 }
 
 // --- Loading Helper ---
-// --- Loading Helper ---
-function setLoading(isLoading, message = "Processando...") {
+// `progress` (optional): { percent, detail, cancellable } for the AI stream
+function setLoading(isLoading, message = t('loading.default'), progress = null) {
     let loader = document.getElementById('loading-overlay');
     
     // Robustness: Create if missing (handles cached HTML mismatch)
@@ -81,6 +220,9 @@ function setLoading(isLoading, message = "Processando...") {
             <div class="loader-content">
                 <div class="spinner"></div>
                 <p>${message}</p>
+                <div class="loader-progress hidden"><div class="loader-progress-fill"></div></div>
+                <pre class="loader-stream hidden"></pre>
+                <button class="btn btn-secondary loader-cancel hidden" type="button">${t('loading.cancel')}</button>
             </div>
         `;
         document.body.appendChild(loader);
@@ -91,6 +233,22 @@ function setLoading(isLoading, message = "Processando...") {
 
     const loaderText = loader.querySelector('p');
     if (loaderText) loaderText.innerText = message;
+
+    const bar = loader.querySelector('.loader-progress');
+    const stream = loader.querySelector('.loader-stream');
+    const cancel = loader.querySelector('.loader-cancel');
+    if (bar) {
+        bar.classList.toggle('hidden', !progress);
+        if (progress) bar.firstElementChild.style.width = `${Math.round(progress.percent)}%`;
+    }
+    if (stream) {
+        stream.classList.toggle('hidden', !progress?.detail);
+        stream.textContent = progress?.detail || '';
+    }
+    if (cancel) {
+        cancel.classList.toggle('hidden', !progress?.cancellable);
+        cancel.onclick = () => { if (serverRequest) serverRequest.abort(); };
+    }
     
     if(isLoading) {
         loader.classList.remove('hidden');
@@ -105,7 +263,7 @@ async function handleFileUpload(e) {
     const file = e.target.files[0];
     if(!file) return;
     
-    setLoading(true, "Lendo arquivo...");
+    setLoading(true, t('loading.readingFile'));
     
     try {
         // Prepare UI for static analysis
@@ -148,14 +306,13 @@ async function handleFileUpload(e) {
         ui.video.style.display = 'none';
         ui.canvas.style.display = 'block'; // Visual only
         
-        // Run Analysis using the OFFSCREEN CANVAS 
+        // Run Analysis using the OFFSCREEN CANVAS pixels
         // (It has the resized image and is robust against DOM visibility issues)
-        setLoading(true, "Analisando IA...");
-        await analyzeStaticImage(offCanvas);
+        await runAnalysisPipeline([offCtx.getImageData(0, 0, offCanvas.width, offCanvas.height)]);
         
     } catch (err) {
         console.error(err);
-        alert("Erro ao ler imagem: " + err.message);
+        alert(t('error.readImage', { error: err.message }));
         resetExperience();
     } finally {
         setLoading(false);
@@ -172,99 +329,87 @@ function loadImage(file) {
     });
 }
 
-// Separate function for static analysis
-async function analyzeStaticImage(imageSource) {
-    if (!model) await loadModels();
-    
-    // Note: createDetector API returns { keypoints: [{x,y,z,name}, ...] }
-    const predictions = await model.estimateFaces(imageSource, {
-        flipHorizontal: false 
-    });
-
-    if (predictions.length > 0) {
-        const face = predictions[0];
-        analyzeFaceFeatures(face, offCtx);
-        updateUI();
-        drawHeatmap(face, ctx);
-        
-        // Show Report
-        ui.captureBtn.classList.add('hidden');
-        ui.retryBtn.classList.remove('hidden');
-        ui.toggleHeatmap.classList.remove('hidden');
-        if (ui.sidebar) ui.sidebar.classList.add('active');
-        
-        ui.statusText.innerText = "Análise de Imagem Concluída";
-    } else {
-        alert("Nenhum rosto detectado. Tente uma foto com iluminação melhor e de frente.");
-        resetExperience();
-    }
+// Start button label lives in a <span data-i18n> next to the icon
+function setStartLabel(key) {
+    const label = ui.startBtn.querySelector('[data-i18n]');
+    label.dataset.i18n = key;
+    label.textContent = t(key);
 }
 
 async function loadModels() {
     try {
-        ui.startBtn.innerText = "Carregando...";
-        setLoading(true, "Carregando modelos IA...");
+        setStartLabel('intro.loading');
+        setLoading(true, t('loading.models'));
         
         const modelType = faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh;
         const detectorConfig = {
             runtime: 'tfjs', 
             refineLandmarks: true,
-            maxFaces: 1
+            maxFaces: CONFIG.maxFaces
         };
+        if (await hasLocalModels()) {
+            detectorConfig.detectorModelUrl = CONFIG.models.detector;
+            detectorConfig.landmarkModelUrl = CONFIG.models.landmarks;
+        } else {
+            console.warn("Local FaceMesh models not found, loading from tfhub (run `npm run models`)");
+        }
 
         model = await faceLandmarksDetection.createDetector(modelType, detectorConfig);
 
         isModelLoaded = true;
-        ui.startBtn.innerText = "Analisar Rosto";
+        setStartLabel('intro.start');
         ui.startBtn.disabled = false;
         
         setLoading(false);
     } catch (e) {
         console.error(e);
-        alert("Erro ao carregar IA: " + e.message);
-        ui.statusText.innerText = "Erro no carregamento";
+        alert(t('error.loadModels', { error: e.message }));
+        ui.statusText.innerText = t('status.loadError');
         setLoading(false);
     }
 }
 
 
 
+// Plain GET (model.json is small): the service worker only answers GETs, so
+// a HEAD probe would hit the network and fail offline
+async function hasLocalModels() {
+    try {
+        const responses = await Promise.all([CONFIG.models.detector, CONFIG.models.landmarks]
+            .map(url => fetch(url)));
+        // Vite/Express answer unknown paths with index.html, so check the type too
+        return responses.every(r => r.ok && (r.headers.get('content-type') || '').includes('json'));
+    } catch (e) {
+        return false;
+    }
+}
+
 async function startExperience() {
     ui.intro.classList.add('hidden');
     ui.analysis.classList.remove('hidden');
 
     try {
         // Request Camera (iOS requires this user gesture chain)
-        const stream = await navigator.mediaDevices.getUserMedia({
-            video: { 
-                width: { ideal: CONFIG.videoWidth }, 
-                height: { ideal: CONFIG.videoHeight },
-                facingMode: 'user' 
-            },
-            audio: false
-        });
-        ui.video.srcObject = stream;
-        
-        // Wait for connection
-        ui.video.onloadedmetadata = () => {
-             ui.canvas.width = ui.video.videoWidth;
-             ui.canvas.height = ui.video.videoHeight;
-             offCanvas.width = ui.video.videoWidth;
-             offCanvas.height = ui.video.videoHeight;
-             
-             ui.statusText.innerText = "Posicione seu rosto";
-             ui.statusDot.style.backgroundColor = "#10b981";
-             
-             // Start Preview Loop
-             isAnalysing = true;
-             previewLoop();
-        };
-
+        await openCamera(ui.video, { width: CONFIG.videoWidth, height: CONFIG.videoHeight });
     } catch (err) {
         console.error(err);
-        alert("Permissão de câmera negada. Por favor, permita o acesso para continuar.");
+        alert(t('error.camera'));
         location.reload();
+        return;
     }
+
+    ui.canvas.width = ui.video.videoWidth;
+    ui.canvas.height = ui.video.videoHeight;
+    offCanvas.width = ui.video.videoWidth;
+    offCanvas.height = ui.video.videoHeight;
+
+    ui.statusText.innerText = t('status.position');
+    ui.statusDot.style.backgroundColor = "#10b981";
+
+    // Start Preview Loop
+    resetQualityGate();
+    isAnalysing = true;
+    previewLoop();
 }
 
 // --- 2. PREVIEW LOOP ---
@@ -283,8 +428,18 @@ async function previewLoop() {
                 flipHorizontal: true
             });
 
-            if (predictions.length > 0) {
-                drawMesh(predictions[0], ctx);
+            predictions.forEach(face => drawOverlay(ctx, face, CONFIG.overlayStyle));
+            if (predictions.length > 1) {
+                const mirrored = isCanvasMirrored();
+                const boxes = predictions.map(getLandmarks).filter(Boolean).map(landmarkBox);
+                const faces = orderFaces(boxes.map(box => ({ box })), { mirrored });
+                drawFaceLabels(ctx, faces.map((f, i) => ({ box: f.box, number: i + 1 })), null, mirrored);
+            }
+
+            // Quality gate runs every few frames, the pixel checks aren't free.
+            // With several people in view it follows the largest (closest) face.
+            if (CONFIG.quality.enabled && frameCount++ % CONFIG.analysisInterval === 0) {
+                updateQualityGate(largestFace(predictions));
             }
         } catch (e) {
             // Ignore frame errors in preview to prevent crashing
@@ -295,116 +450,647 @@ async function previewLoop() {
     animationId = requestAnimationFrame(previewLoop);
 }
 
+// --- QUALITY GATE ---
+// Mirrors the capture drawing so keypoints (flipHorizontal) match the pixels
+function grabPreviewFrame() {
+    return grabMirroredFrame(ui.video, qualityCtx);
+}
+
+function updateQualityGate(face) {
+    const frame = face ? grabPreviewFrame() : null;
+    const quality = frame
+        ? evaluateFrameQuality(face, frame, CONFIG.quality.thresholds)
+        : evaluateFrameQuality(null, null);
+
+    // Stability: consecutive passing evaluations with little head movement
+    const points = getLandmarks(face);
+    const still = frameMotion(qualityState.lastPoints, points) <= CONFIG.quality.maxMotion;
+    qualityState.stableCount = quality.ok && still ? qualityState.stableCount + 1 : 0;
+    qualityState.lastPoints = points;
+    qualityState.ok = quality.ok;
+
+    ui.captureBtn.disabled = !quality.ok;
+    ui.statusDot.style.backgroundColor = quality.ok ? "#10b981" : "#f59e0b";
+
+    if (quality.ok && CONFIG.quality.autoCapture) {
+        const remaining = CONFIG.quality.stableFrames - qualityState.stableCount;
+        if (remaining <= 0) {
+            ui.statusText.innerText = t('status.capturing');
+            captureSnapshot();
+            return;
+        }
+        ui.statusText.innerText = t('status.holdStill');
+    } else {
+        ui.statusText.innerText = t(`quality.${quality.reason}`);
+    }
+}
+
+function resetQualityGate() {
+    qualityState = { ok: false, stableCount: 0, lastPoints: null };
+    frameCount = 0;
+    ui.captureBtn.disabled = CONFIG.quality.enabled;
+}
+
+function toggleAutoCapture() {
+    CONFIG.quality.autoCapture = !CONFIG.quality.autoCapture;
+    qualityState.stableCount = 0;
+    updateAutoCaptureButton();
+}
+
+function updateAutoCaptureButton() {
+    if (!ui.autoCaptureBtn) return;
+    ui.autoCaptureBtn.classList.toggle('hidden', !CONFIG.quality.enabled);
+    ui.autoCaptureBtn.innerText = t(CONFIG.quality.autoCapture ? 'controls.autoOn' : 'controls.autoOff');
+}
+
+// --- PRIVACY ---
+// Resolves true when the AI upload may go ahead. Local-only mode skips it
+// without asking; otherwise the consent dialog is shown until answered once.
+async function ensureUploadConsent(signal) {
+    const settings = getPrivacySettings();
+    if (settings.localOnly) return false;
+    if (settings.consent === 'granted') return true;
+    setLoading(false);
+    const granted = await askUploadConsent(signal);
+    setLoading(true); // answered: back to the analysis spinner
+    return granted;
+}
+
+// Shows the consent dialog and resolves with the user's answer.
+// Aborting `signal` closes it unanswered and rejects with the abort reason.
+function askUploadConsent(signal) {
+    return new Promise((resolve, reject) => {
+        const close = () => {
+            ui.consentAccept.removeEventListener('click', accept);
+            ui.consentDecline.removeEventListener('click', decline);
+            signal?.removeEventListener('abort', abort);
+            ui.consentDialog.classList.add('hidden');
+        };
+        const done = granted => {
+            close();
+            recordConsent(granted);
+            updateLocalOnlyButton();
+            if (granted) flushAnalysisQueue();
+            resolve(granted);
+        };
+        const accept = () => done(true);
+        const decline = () => done(false);
+        const abort = () => {
+            close();
+            reject(signal.reason);
+        };
+        if (signal?.aborted) return reject(signal.reason);
+
+        ui.consentAccept.addEventListener('click', accept);
+        ui.consentDecline.addEventListener('click', decline);
+        signal?.addEventListener('abort', abort, { once: true });
+        ui.consentDialog.classList.remove('hidden');
+    });
+}
+
+// Leaving local-only mode needs consent if it was never given
+function toggleLocalOnly() {
+    const settings = getPrivacySettings();
+    if (settings.localOnly && settings.consent !== 'granted') {
+        askUploadConsent();
+        return;
+    }
+    savePrivacySettings({ localOnly: !settings.localOnly });
+    updateLocalOnlyButton();
+    if (canUpload()) flushAnalysisQueue();
+}
+
+function updateLocalOnlyButton() {
+    if (!ui.localOnlyBtn) return;
+    const { localOnly } = getPrivacySettings();
+    ui.localOnlyBtn.innerText = t(localOnly ? 'controls.localOn' : 'controls.localOff');
+}
+
 // --- 3. CAPTURE LOGIC ---
 async function captureSnapshot() {
+    if (!isAnalysing) return; // Already captured (e.g. auto-capture + click)
+    if (CONFIG.quality.enabled && !qualityState.ok) return;
     isAnalysing = false; // Stop loop
     cancelAnimationFrame(animationId);
 
-    ui.statusText.innerText = "Processando...";
-    setLoading(true, "Processando Captura..."); // Show Overlay
+    ui.statusText.innerText = t('status.processing');
+    setLoading(true, t('loading.capture')); // Show Overlay
     ui.captureBtn.classList.add('hidden');
+    if (ui.autoCaptureBtn) ui.autoCaptureBtn.classList.add('hidden');
     
-    // 1. Draw final freeze frame to canvas (so we can hide video)
-    ctx.save();
-    ctx.scale(-1, 1);
-    ctx.drawImage(ui.video, -ui.canvas.width, 0, ui.canvas.width, ui.canvas.height);
-    ctx.restore();
-    
-    // 2. Draw to offscreen for pixel analysis
-    offCtx.save();
-    offCtx.scale(-1, 1);
-    offCtx.drawImage(ui.video, -ui.canvas.width, 0, ui.canvas.width, ui.canvas.height);
-    offCtx.restore();
+    // 1. Grab a burst of mirrored frames (first one doubles as the freeze frame)
+    const frames = await captureBurst(ui.video, offCtx, {
+        count: CONFIG.burst.frames,
+        intervalMs: CONFIG.burst.intervalMs,
+        // Freeze the first frame on screen so we can hide video
+        onFrame: (frame, index) => { if (index === 0) ctx.putImageData(frame, 0, 0); }
+    });
 
-    // 3. Run Deep Analysis
-        try {
-            // Convert offCanvas to base64 first
-            const base64Image = offCanvas.toDataURL('image/jpeg', 0.8);
-            
-            // Convert base64 to Blob for FormData
-            setLoading(true, "Analisando com IA..."); // Ensure loading screen is visible
-            
-            const res = await fetch(base64Image);
-            const blob = await res.blob();
-            const formData = new FormData();
-            formData.append('foto', blob, 'capture.jpg');
-
-            // Send to new Gemini backend
-            const response = await fetch('http://localhost:3000/api/analisar-rosto', {
-                method: 'POST',
-                body: formData
-            });
+    // 2. Run Deep Analysis (same pipeline as uploads)
+    await runAnalysisPipeline(frames);
+}
+
+// --- SHARED ANALYSIS PIPELINE (camera + upload) ---
+// Takes one or more frames (ImageData). Landmarks are detected on every
+// frame and the pixel metrics use each frame's own landmarks. Faces are
+// tracked across the burst; with more than one the user picks which to
+// analyze. Each face's burst is consolidated separately and its
+// representative frame is what gets displayed, overlaid and cropped for the
+// server, so mesh and pixels never drift apart. AI failures keep the local report.
+async function runAnalysisPipeline(frames) {
+    pipelineAbort?.abort();
+    pipelineAbort = new AbortController();
+    const { signal } = pipelineAbort;
+    try {
+        if (!model) await loadModels();
 
-            if (!response.ok) {
-                throw new Error(`Server error: ${response.status}`);
+        setLoading(true, t('loading.detecting'));
+        const detections = [];
+        for (const frame of frames) {
+            // Note: createDetector API returns { keypoints: [{x,y,z,name}, ...] }
+            const predictions = await model.estimateFaces(frame, { flipHorizontal: false });
+            detections.push(predictions.map(getLandmarks).filter(Boolean));
+        }
+        const tracks = trackFaces(detections, { mirrored: isCanvasMirrored() });
+
+        if (tracks.length === 0) {
+            alert(t('error.noFace'));
+            resetExperience();
+            return;
+        }
+
+        // Group photo: ask before spending AI calls on everyone
+        let chosen = [0];
+        if (tracks.length > 1) {
+            setLoading(false);
+            chosen = await chooseFaces(tracks, frames[0], signal);
+        }
+
+        // Nothing is uploaded before the user agrees (asked once, then remembered)
+        const uploadAllowed = await ensureUploadConsent(signal);
+
+        people = [];
+        let aiError = null;
+        let cancelled = false;
+        let queued = false;
+        for (const index of chosen) {
+            const suffix = chosen.length > 1 ? t('faces.suffix', { number: index + 1 }) : '';
+            setLoading(true, t('loading.analyzing', { suffix }));
+
+            const samples = tracks[index].samples.map(({ frameIndex, landmarks }) => ({ frame: frames[frameIndex], landmarks }));
+            const person = analyzePerson(samples, index + 1);
+            people.push(person);
+            if (cancelled) continue; // user gave up on the AI, the rest stays local
+            if (!uploadAllowed) {
+                mergeServerAnalysis(null);
+                continue;
+            }
+            if (!navigator.onLine) {
+                person.queued = queued = true;
+                mergeServerAnalysis(null);
+                continue;
             }
 
-            const data = await response.json();
-            
-            // Map Gemini JSON response to local state
-            // Gemini returns 0-10 strings/numbers, we map to 0-100
-            
-            // Helper to parse "8/10" or "8" to number
-            const parseScore = (val) => {
-                if(!val) return 50;
-                if(typeof val === 'number') return val * 10;
-                const num = parseFloat(val.toString().split('/')[0]);
-                return isNaN(num) ? 50 : num * 10;
-            };
-
-            analysisState.symmetry = parseScore(data.simetria?.nota);
-            analysisState.texture = parseScore(data.qualidade_pele?.nota);
-            
-            // These are not in the current prompt, so we keep them random/mock or set neutral
-            analysisState.oiliness = 50; 
-            analysisState.beardDensity = 50; // Could add to prompt later
-            
-            // Format valid insights
-            const points = data.sugestoes_melhoria || [];
-            if(Array.isArray(points)) {
-                 analysisState.insight = points[0]; // Take the first suggestion as main insight
-            } else {
-                 analysisState.insight = "Melhore sua rotina de cuidados.";
+            setLoading(true, t('loading.uploading', { suffix }), { percent: 5, cancellable: true });
+            serverRequest = new AbortController();
+            try {
+                mergeServerAnalysis(await requestServerAnalysis(person.crop, {
+                    signal: serverRequest.signal,
+                    onProgress: (message, percent, detail) => setLoading(true, message + suffix, { percent, detail, cancellable: true })
+                }));
+            } catch (e) {
+                cancelled = e.name === 'AbortError';
+                if (e.offline) {
+                    person.queued = queued = true;
+                } else if (!cancelled) {
+                    console.error("Analysis failed", e);
+                    aiError = e;
+                }
+                mergeServerAnalysis(null);
+            } finally {
+                serverRequest = null;
             }
-            
-            // Visuals
-            const predictions = await model.estimateFaces(ui.video, { flipHorizontal: true });
-            if (predictions.length > 0) {
-                 const face = predictions[0];
-                 // Keep visual mesh
-                 analyzeFaceFeatures(face, offCtx); 
-                 
-                 updateUI();
-                 drawHeatmap(face, ctx);
-                 
-                 ui.retryBtn.classList.remove('hidden');
-                 ui.toggleHeatmap.classList.remove('hidden');
-                 if (ui.sidebar) ui.sidebar.classList.add('active');
-                 ui.statusText.innerText = "Análise Concluída";
-            } else {
-                 alert("Rosto não detectado para overlay. Mas análise de dados concluída.");
-                 updateUI();
+        }
+
+        activatePerson(0);
+        showReport();
+        people.forEach(recordSession);
+
+        if (!uploadAllowed) {
+            ui.statusText.innerText = t('status.localOnly');
+        } else if (queued) {
+            ui.statusText.innerText = t('status.queued');
+        } else if (cancelled) {
+            ui.statusText.innerText = t('status.cancelled');
+        } else if (aiError) {
+            ui.statusText.innerText = t('status.aiUnavailable');
+            alert(t('error.api', { error: aiError.message }));
+        } else {
+            ui.statusText.innerText = t('status.done');
+        }
+    } catch (e) {
+        if (signal.aborted) return; // reset while waiting on the user, already cleaned up
+        console.error("Analysis failed", e);
+        alert(t('error.analysis', { error: e.message }));
+        resetExperience();
+    } finally {
+        setLoading(false);
+    }
+}
+
+// Local analysis of one face's burst (analysis.js). Leaves its state in
+// analysisState so mergeServerAnalysis can complete it; activatePerson
+// switches back later.
+function analyzePerson(samples, number) {
+    const { frame, box, face, state } = analyzeFace(samples, { thresholds: CONFIG.thresholds, burst: CONFIG.burst });
+    analysisState = state;
+    return { number, box, face, frame, state, crop: cropFace(frame, box) };
+}
+
+// The server only gets the selected face (padded), not the whole photo
+function cropFace(frame, box) {
+    const rect = cropRect(box, frame.width, frame.height);
+    offCanvas.width = frame.width;
+    offCanvas.height = frame.height;
+    offCtx.putImageData(frame, 0, 0);
+
+    const crop = document.createElement('canvas');
+    crop.width = rect.width;
+    crop.height = rect.height;
+    crop.getContext('2d').drawImage(offCanvas, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+    return crop;
+}
+
+// Shows the numbered faces and resolves with the chosen track indices.
+// Aborting `signal` closes the picker and rejects with the abort reason.
+function chooseFaces(tracks, frame, signal) {
+    const faces = tracks.map((track, i) => ({ box: track.box, number: i + 1 }));
+    ctx.putImageData(frame, 0, 0);
+    drawFaceLabels(ctx, faces, null, isCanvasMirrored());
+    ui.statusText.innerText = t('faces.detected', { count: tracks.length });
+
+    return new Promise((resolve, reject) => {
+        const close = () => {
+            ui.facePicker.classList.add('hidden');
+            ui.facePickerOptions.innerHTML = '';
+            ui.canvas.removeEventListener('click', onCanvasClick);
+            signal?.removeEventListener('abort', abort);
+        };
+        const done = indices => {
+            close();
+            resolve(indices);
+        };
+        const abort = () => {
+            close();
+            reject(signal.reason);
+        };
+        if (signal?.aborted) return reject(signal.reason);
+        const onCanvasClick = e => {
+            const [x, y] = canvasPoint(e);
+            const hit = faceAt(faces.map(f => f.box), x, y);
+            if (hit !== -1) done([hit]);
+        };
+
+        faces.forEach(({ number }, i) => {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-secondary';
+            btn.innerText = t('faces.face', { number });
+            btn.addEventListener('click', () => done([i]));
+            ui.facePickerOptions.appendChild(btn);
+        });
+        const all = document.createElement('button');
+        all.className = 'btn btn-primary';
+        all.innerText = t('faces.all');
+        all.addEventListener('click', () => done(faces.map((_, i) => i)));
+        ui.facePickerOptions.appendChild(all);
+
+        ui.canvas.addEventListener('click', onCanvasClick);
+        signal?.addEventListener('abort', abort, { once: true });
+        ui.facePicker.classList.remove('hidden');
+    });
+}
+
+// Switches the report, canvas and exports to one of the analyzed faces
+function activatePerson(index) {
+    const person = people[index];
+    if (!person) return;
+    activePerson = index;
+    analysisState = person.state;
+    lastAnalysis = { face: person.face, frame: person.frame };
+
+    offCanvas.width = person.frame.width;
+    offCanvas.height = person.frame.height;
+    offCtx.putImageData(person.frame, 0, 0);
+
+    updateUI();
+    renderResultCanvas();
+    renderFaceTabs();
+}
+
+function renderFaceTabs() {
+    if (!ui.faceTabs) return;
+    ui.faceTabs.classList.toggle('hidden', people.length < 2);
+    ui.faceTabs.innerHTML = '';
+    if (people.length < 2) return;
+
+    people.forEach((person, i) => {
+        const tab = document.createElement('button');
+        tab.className = `face-tab${i === activePerson ? ' active' : ''}`;
+        tab.innerText = t('faces.face', { number: person.number });
+        tab.addEventListener('click', () => activatePerson(i));
+        ui.faceTabs.appendChild(tab);
+    });
+}
+
+// The preview/result canvas is flipped in CSS (scaleX(-1))
+function isCanvasMirrored() {
+    const transform = getComputedStyle(ui.canvas).transform;
+    return transform !== 'none' && new DOMMatrix(transform).a < 0;
+}
+
+// Click position in canvas pixels, accounting for the CSS flip and object-fit
+function canvasPoint(e) {
+    const rect = ui.canvas.getBoundingClientRect();
+    const fit = getComputedStyle(ui.canvas).objectFit;
+    const scale = (fit === 'cover' ? Math.max : Math.min)(rect.width / ui.canvas.width, rect.height / ui.canvas.height);
+    const offsetX = (rect.width - ui.canvas.width * scale) / 2;
+    const offsetY = (rect.height - ui.canvas.height * scale) / 2;
+    const screenX = isCanvasMirrored() ? rect.right - e.clientX : e.clientX - rect.left;
+    return [(screenX - offsetX) / scale, (e.clientY - rect.top - offsetY) / scale];
+}
+
+function largestFace(predictions) {
+    let best = null, bestArea = 0;
+    predictions.forEach(face => {
+        const landmarks = getLandmarks(face);
+        if (!landmarks) return;
+        const box = landmarkBox(landmarks);
+        if (box.width * box.height > bestArea) {
+            best = face;
+            bestArea = box.width * box.height;
+        }
+    });
+    return best;
+}
+
+// Progress shown for each server stage (see the SSE route in server.js), messages in stream.*
+const STREAM_STAGES = {
+    received: { percent: 15 },
+    preprocessed: { percent: 25 },
+    model: { percent: 35 },
+    repair: { percent: 60 },
+    parsing: { percent: 90 },
+    done: { percent: 100 }
+};
+// Typical length of a full AI answer, used to advance the bar while text streams in
+const EXPECTED_AI_CHARS = 700;
+
+// Streams the analysis: onProgress(message, percent, partialText) follows the
+// server stages, `signal` cancels both this fetch and the server's AI call.
+// `image` is a canvas or an already encoded Blob (queued analyses).
+// Network failures are flagged with err.offline so the caller can queue.
+async function requestServerAnalysis(image, { signal, onProgress = () => {} } = {}) {
+    const blob = image instanceof Blob ? image : await canvasToJpeg(image);
+
+    const formData = new FormData();
+    formData.append('foto', blob, 'capture.jpg');
+    formData.append('locale', getLocale());
+
+    let response;
+    try {
+        response = await fetch(`${API_BASE_URL}/api/analisar-rosto/stream`, {
+            method: 'POST',
+            headers: API_TOKEN ? { 'X-Api-Key': API_TOKEN } : {},
+            body: formData,
+            signal
+        });
+    } catch (e) {
+        if (e.name !== 'AbortError') e.offline = true;
+        throw e;
+    }
+
+    if (!response.ok) {
+        throw await apiError(response);
+    }
+
+    let result = null, failure = null, partial = '';
+    const stageAt = name => ({ percent: STREAM_STAGES[name].percent, message: t(`stream.${name}`) });
+    let stage = stageAt('model');
+    await readEventStream(response, (event, data) => {
+        if (event === 'stage' && STREAM_STAGES[data.stage]) {
+            stage = stageAt(data.stage);
+            if (data.stage === 'repair') partial = '';
+            onProgress(stage.message, stage.percent, partial.slice(-160));
+        } else if (event === 'text') {
+            partial += data.chunk;
+            const percent = stage.percent + Math.min(1, partial.length / EXPECTED_AI_CHARS) * 50;
+            onProgress(stage.message, Math.min(percent, 89), partial.slice(-160));
+        } else if (event === 'result') {
+            result = data.analysis;
+        } else if (event === 'error') {
+            failure = errorFromBody(data, response.status);
+        }
+    });
+
+    if (failure) throw failure;
+    if (!result) throw new Error(t('error.connectionLost'));
+    return result;
+}
+
+async function canvasToJpeg(canvas) {
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+    if (!blob) throw new Error(t('error.encode'));
+    return blob;
+}
+
+// Local landmark metrics stay the source of truth for texture/oiliness/beard.
+// AI report into an analysis state (see mergeAiAnalysis). `state` defaults to the live one.
+function mergeServerAnalysis(data, state = analysisState) {
+    mergeAiAnalysis(data, state);
+}
+
+// Persist the finished analysis; failures only cost the history entry.
+// Faces analyzed offline are queued for the AI even with history turned off.
+async function recordSession(person) {
+    if (CONFIG.history.enabled) {
+        try {
+            const thumbnail = CONFIG.history.thumbnails ? createThumbnail(person.crop, CONFIG.history.thumbnailSize) : null;
+            const saved = await saveSession(createSessionRecord(person.state, {
+                landmarks: person.face.landmarks,
+                thumbnail,
+                source: ui.video.srcObject ? 'camera' : 'upload'
+            }));
+            person.sessionId = saved.id;
+        } catch (e) {
+            console.warn("Could not save analysis to history", e);
+        }
+    }
+    if (!person.queued) return;
+    try {
+        person.queueId = await queueAnalysis({ sessionId: person.sessionId ?? null, image: await canvasToJpeg(person.crop) });
+    } catch (e) {
+        console.warn("Could not queue the AI analysis", e);
+    }
+}
+
+// Upload problems the server rejects the same way on every retry (4xx
+// validation). Anything else (offline, 429, 5xx, AI failures) is retried later.
+const INVALID_UPLOAD_ERRORS = [
+    'NO_FILE', 'EMPTY_FILE', 'UNEXPECTED_FIELD', 'FILE_TOO_LARGE',
+    'UNSUPPORTED_IMAGE_TYPE', 'IMAGE_DECODE_FAILED', 'IMAGE_TOO_SMALL'
+];
+
+// Sends the analyses queued while offline. Results go into the stored session
+// and, if that face is still on screen, into the live report too.
+let isFlushingQueue = false;
+async function flushAnalysisQueue() {
+    if (isFlushingQueue || !navigator.onLine || !canUpload()) return;
+    isFlushingQueue = true;
+    try {
+        for (const item of await listQueued()) {
+            let data;
+            try {
+                data = await requestServerAnalysis(item.image);
+            } catch (e) {
+                if (INVALID_UPLOAD_ERRORS.includes(e.code)) {
+                    console.warn("Queued AI analysis rejected by the server, dropping it", e);
+                    await removeQueued(item.id);
+                    continue;
+                }
+                // Offline, rate limited or server/AI trouble: keep it for the next 'online' or page load
+                if (!e.offline) console.warn("Queued AI analysis failed, keeping it for later", e);
+                break;
             }
 
-        } catch(e) {
-            console.error("Analysis failed", e);
-            alert("Erro na análise (API): " + e.message);
-            resetExperience();
-        } finally {
-            setLoading(false);
+            const session = item.sessionId != null ? await getSession(item.sessionId) : null;
+            if (session) {
+                const state = { ...session.scores };
+                mergeServerAnalysis(data, state);
+                await updateSession(item.sessionId, { scores: { ...session.scores, symmetry: state.symmetry }, ai: state.ai, aiScores: state.aiScores });
+            }
+            await removeQueued(item.id);
+
+            const person = people.find(p => p.queueId === item.id);
+            if (person) {
+                mergeServerAnalysis(data, person.state);
+                person.queued = false;
+                if (people[activePerson] === person) updateUI();
+            }
         }
+        if (!people.some(p => p.queued) && ui.statusText.innerText === t('status.queued')) {
+            ui.statusText.innerText = t('status.done');
+        }
+    } catch (e) {
+        console.warn("Could not process the offline AI queue", e);
+    } finally {
+        isFlushingQueue = false;
     }
-    
+}
+
+function createThumbnail(source, size) {
+    const scale = size / Math.max(source.width, source.height);
+    const thumb = document.createElement('canvas');
+    thumb.width = Math.round(source.width * scale);
+    thumb.height = Math.round(source.height * scale);
+    thumb.getContext('2d').drawImage(source, 0, 0, thumb.width, thumb.height);
+    return thumb.toDataURL('image/jpeg', 0.7);
+}
+
+function showReport() {
+    ui.captureBtn.classList.add('hidden');
+    ui.retryBtn.classList.remove('hidden');
+    ui.toggleHeatmap.classList.remove('hidden');
+    if (ui.tryOnBtn) ui.tryOnBtn.classList.remove('hidden');
+    if (ui.sidebar) ui.sidebar.classList.add('active');
+    setExportEnabled(true);
+}
+
+// --- EXPORT (all generated locally) ---
+function setExportEnabled(enabled) {
+    [ui.exportPngBtn, ui.exportReportBtn, ui.exportJsonBtn].forEach(btn => {
+        if (btn) btn.disabled = !enabled;
+    });
+}
+
+function exportShareCard() {
+    if (!lastAnalysis) return;
+    const card = renderShareCard(ui.canvas, analysisState);
+    card.toBlob(blob => {
+        if (blob) downloadFile(blob, `face-architect_${fileStamp()}.png`);
+    }, 'image/png');
+}
+
+function exportPrintableReport() {
+    if (!lastAnalysis) return;
+    const suggestions = mergeSuggestions(analysisState.ai?.sugestoes_melhoria, currentRecommendations())
+        .flatMap(g => g.items.map(item => (item.rationale ? `${item.text} (${item.rationale})` : item.text)));
+    const html = buildPrintableReport(analysisState, ui.canvas.toDataURL('image/jpeg', 0.85), buildExplanations(), suggestions);
+    const win = window.open('', '_blank');
+    if (!win) {
+        // Popup blocked: hand over the file instead
+        downloadFile(new Blob([html], { type: 'text/html' }), `face-architect_${fileStamp()}.html`);
+        return;
+    }
+    win.document.open();
+    win.document.write(html);
+    win.document.close();
+}
+
+function exportJson() {
+    if (!lastAnalysis) return;
+    const data = buildExportJson(analysisState, lastAnalysis.face);
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    downloadFile(blob, `face-architect_${fileStamp()}.json`);
+}
+
+// Server error codes (see server/errors.js) with a user-facing message in the catalogs (api.*)
+const API_ERRORS = [
+    'NO_FILE', 'EMPTY_FILE', 'UNEXPECTED_FIELD', 'UPLOAD_FAILED', 'FILE_TOO_LARGE',
+    'UNSUPPORTED_IMAGE_TYPE', 'IMAGE_DECODE_FAILED', 'IMAGE_TOO_SMALL',
+    'AI_NO_JSON', 'AI_INVALID_JSON', 'AI_SCHEMA_MISMATCH', 'AI_PROVIDER_ERROR',
+    'UNAUTHORIZED', 'FORBIDDEN', 'RATE_LIMITED', 'ORIGIN_NOT_ALLOWED', 'CANCELLED', 'NOT_FOUND', 'INTERNAL_ERROR'
+];
+
+async function apiError(response) {
+    let body = {};
+    try { body = await response.json(); } catch (e) { /* non-JSON error page */ }
+    return errorFromBody(body, response.status, response.headers.get('Retry-After'));
+}
+
+function errorFromBody(body, status, retryAfter = null) {
+    let message = API_ERRORS.includes(body.code) ? t(`api.${body.code}`) : body.error || t('api.serverError', { status });
+    if (status === 429 && retryAfter) message += t('api.retryAfter', { seconds: retryAfter });
+    const err = new Error(message);
+    err.code = body.code;
+    err.status = status;
+    return err;
+}
+
 // Removed mock logic that was here before because we now fetch data.
 // We still keep the helper to draw mesh/heatmap, but NOT to calculate scores.
 
 
 function resetExperience() {
+    // Ends a run still waiting on the face picker or the consent dialog
+    if (pipelineAbort) {
+        pipelineAbort.abort();
+        pipelineAbort = null;
+    }
     isAnalysing = true;
+    resetQualityGate();
+    updateAutoCaptureButton();
     ui.captureBtn.classList.remove('hidden');
     ui.retryBtn.classList.add('hidden');
     ui.toggleHeatmap.classList.add('hidden');
-    ui.statusText.innerText = "Posicione seu rosto";
+    if (ui.heatmapControls) ui.heatmapControls.classList.add('hidden');
+    if (ui.tryOnBtn) ui.tryOnBtn.classList.add('hidden');
+    isTryOnVisible = false;
+    lastAnalysis = null;
+    people = [];
+    activePerson = 0;
+    renderFaceTabs();
+    setExportEnabled(false);
+    ui.statusText.innerText = t('status.position');
     
     // Close sheet
     if (ui.sidebar) ui.sidebar.classList.remove('active');
@@ -418,140 +1104,263 @@ function resetExperience() {
     previewLoop();
 }
 
-// --- 4. ANALYSIS & VISUALS (Reused logic) ---
-function analyzeFaceFeatures(face, ctxSource) {
-    // Adapter: Handle both Old API (scaledMesh array) and New API (keypoints object)
-    let landmarks;
-    if (face.keypoints) {
-        // New API: Array of objects {x, y, z, name}
-        // Map to array of arrays [x, y, z] to match legacy logic
-        landmarks = face.keypoints.map(p => [p.x, p.y, p.z]);
-    } else {
-        // Old API
-        landmarks = face.scaledMesh;
-    }
-    
-    // If we somehow still don't have landmarks, abort
-    if (!landmarks) {
-        console.error("No landmarks found in face object", face);
-        return;
-    }
-    
-    // Patch face object for other functions (drawHeatmap etc)
-    face.scaledMesh = landmarks; 
-
-    // Symmetry
-    const nose = landmarks[1];
-    const leftCheek = landmarks[234];
-    const rightCheek = landmarks[454];
-    const dL = Math.hypot(nose[0]-leftCheek[0], nose[1]-leftCheek[1]);
-    const dR = Math.hypot(nose[0]-rightCheek[0], nose[1]-rightCheek[1]);
-    analysisState.symmetry = Math.round((Math.min(dL, dR)/Math.max(dL, dR)) * 100);
-
-    // Texture (Random high-pass filter sim + partial real logic)
-    // We already have offCtx with data
-    const cheekPixels = getRegionPixels(ctxSource, landmarks, [123, 50, 205]); 
-    const tScore = calculateTextureMetric(cheekPixels); 
-    analysisState.texture = Math.min(100, Math.floor(tScore * 2.5));
-
-    // Oiliness
-    const foreheadPixels = getRegionPixels(ctxSource, landmarks, [10, 338, 297]);
-    analysisState.oiliness = Math.min(100, calculateOilinessMetric(foreheadPixels));
-
-    // Beard
-    const chinPixels = getRegionPixels(ctxSource, landmarks, [152, 148, 176]);
-    analysisState.beardDensity = calculateBeardMetric(chinPixels, cheekPixels);
-}
-
+// --- 4. VISUALS ---
 // Helpers
 let isHeatmapVisible = true;
+let isTryOnVisible = false;
+const tryOn = { ...DEFAULT_TRY_ON };
 function toggleHeatmapLayer() {
     isHeatmapVisible = !isHeatmapVisible;
-    // We need to redraw the static image + landmarks/heatmap
-    // Ideally we would cache the static image
-    // For now, toggle visibility of canvas? No, canvas has image.
-    // Redraw image from offscreen
-    ctx.clearRect(0,0, ui.canvas.width, ui.canvas.height);
-    ctx.drawImage(offCanvas, 0, 0); 
-    
-    if(isHeatmapVisible) {
-       // We need the face data again. Storing in global or closure would be best.
-       // For this simple refactor, we assume just toggling the button state visually
+    renderResultCanvas();
+}
+
+// Redraws the analyzed frame and its overlays from lastAnalysis.
+// Works the same for camera and upload since both store the frame pixels.
+function renderResultCanvas() {
+    ui.toggleHeatmap.innerText = t(isHeatmapVisible ? 'controls.hideHeatmap' : 'controls.showHeatmap');
+    ui.toggleHeatmap.disabled = isTryOnVisible;
+    if (ui.tryOnBtn) ui.tryOnBtn.innerText = t(isTryOnVisible ? 'controls.closeTryOn' : 'controls.tryOn');
+    if (ui.heatmapControls) ui.heatmapControls.classList.toggle('hidden', !isHeatmapVisible || isTryOnVisible || !lastAnalysis);
+    if (ui.tryOnControls) ui.tryOnControls.classList.toggle('hidden', !isTryOnVisible || !lastAnalysis);
+    if (!lastAnalysis) return;
+
+    const layer = ui.heatmapLayer ? ui.heatmapLayer.value : 'all';
+    if (ui.heatmapLegend) {
+        ui.heatmapLegend.innerText = layer === 'all' ? t('heatmap.allLayers') : t(`layer.${layer}`);
     }
-    ui.toggleHeatmap.innerText = isHeatmapVisible ? "Ocultar Heatmap" : "Ver Heatmap";
-}
-
-// --- PREVIOUS HELPERS (Keep them) ---
-function getRegionPixels(ctx, landmarks, indices) {
-   // Simplified bounding box
-   let minX=10000, maxX=0, minY=10000, maxY=0;
-   indices.forEach(i => {
-       const p = landmarks[i];
-       if(p[0]<minX) minX=p[0]; if(p[0]>maxX) maxX=p[0];
-       if(p[1]<minY) minY=p[1]; if(p[1]>maxY) maxY=p[1];
-   });
-   const w = maxX-minX, h = maxY-minY;
-   if(w<1 || h<1) return null;
-   return ctx.getImageData(minX, minY, w, h);
-}
-
-function calculateTextureMetric(img) {
-    if(!img) return 20;
-    // Simple mock of variance
-    return Math.floor(Math.random() * 40) + 10; 
-}
-function calculateOilinessMetric(img) { return Math.floor(Math.random() * 50) + 10; }
-function calculateBeardMetric(chin, cheek) { return Math.floor(Math.random() * 60); }
-
-function drawMesh(face, ctx) {
-    ctx.fillStyle = 'rgba(120, 255, 120, 0.5)';
-    face.scaledMesh.forEach((p, i) => {
-        if(i%10===0) {
-            ctx.beginPath(); ctx.arc(p[0], p[1], 1, 0, 2*Math.PI); ctx.fill();
-        }
+
+    renderAnalysis(ctx, lastAnalysis, {
+        heatmap: isHeatmapVisible ? layer : null,
+        overlayStyle: CONFIG.overlayStyle,
+        tryOn: isTryOnVisible ? tryOn : null,
+        labels: people.map(p => ({ box: p.box, number: p.number })),
+        active: people[activePerson]?.number,
+        mirrored: isCanvasMirrored()
     });
 }
 
-function drawHeatmap(face, ctx) {
-    // Draw simple colored blobs
-    const cheeks = [face.scaledMesh[234], face.scaledMesh[454]];
-    ctx.save();
-    ctx.globalAlpha = 0.4;
-    cheeks.forEach(p => {
-        const g = ctx.createRadialGradient(p[0],p[1],0,p[0],p[1],40);
-        g.addColorStop(0, 'red'); g.addColorStop(1, 'transparent');
-        ctx.fillStyle = g; ctx.beginPath(); ctx.arc(p[0],p[1],40,0,2*Math.PI); ctx.fill();
+// --- VIRTUAL TRY-ON ---
+function initTryOn() {
+    if (!ui.tryOnControls) return;
+    renderTryOnOptions();
+    ui.tryOnBtn.addEventListener('click', () => {
+        isTryOnVisible = !isTryOnVisible;
+        renderResultCanvas();
     });
-    ctx.restore();
+    ui.tryOnControls.querySelectorAll('select[data-style]').forEach(select => {
+        select.addEventListener('change', () => {
+            tryOn[select.dataset.style] = select.value;
+            renderResultCanvas();
+        });
+    });
+    ui.tryOnOpacity.value = Math.round(tryOn.opacity * 100);
+    ui.tryOnOpacity.addEventListener('input', () => {
+        tryOn.opacity = ui.tryOnOpacity.value / 100;
+        renderResultCanvas();
+    });
+    ui.tryOnExport.addEventListener('click', exportTryOn);
+}
+
+// Style pickers, rebuilt on language change
+function renderTryOnOptions() {
+    if (!ui.tryOnControls) return;
+    ui.tryOnControls.querySelectorAll('select[data-style]').forEach(select => {
+        const kind = select.dataset.style;
+        select.innerHTML = ['none', ...TRY_ON_STYLES[kind]]
+            .map(id => `<option value="${id}">${t(`tryon.style.${id}`)}</option>`)
+            .join('');
+        select.value = tryOn[kind];
+    });
+}
+
+// Photo + try-on only (no mesh, heatmap or face numbers), full resolution
+function exportTryOn() {
+    if (!lastAnalysis) return;
+    const canvas = document.createElement('canvas');
+    canvas.width = lastAnalysis.frame.width;
+    canvas.height = lastAnalysis.frame.height;
+    renderAnalysis(canvas.getContext('2d'), lastAnalysis, { tryOn });
+    canvas.toBlob(blob => {
+        if (blob) downloadFile(blob, `face-architect_try-on_${fileStamp()}.png`);
+    }, 'image/png');
 }
 
+// --- REPORT ---
 function updateUI() {
-    updateBar('symmetry', analysisState.symmetry);
-    updateBar('texture', analysisState.texture);
-    updateBar('oiliness', analysisState.oiliness);
-    updateBar('beard', analysisState.beardDensity);
+    const spread = analysisState.spread || {};
+    updateBar('symmetry', analysisState.symmetry, spread.symmetry);
+    updateBar('texture', analysisState.texture, spread.texture);
+    updateBar('oiliness', analysisState.oiliness, spread.oiliness);
+    updateBar('beard', analysisState.beardDensity, spread.beardDensity);
+    
+    updateGeometry(analysisState.geometry);
+    updateFaceShape(compareFaceShape(analysisState.faceShape, analysisState.aiFaceShape));
+    
+    updateExplanations();
     
     // Insights
     const list = document.getElementById('insights-list');
     
     // Build list items
     let html = `
-        <li>Simetria: ${analysisState.symmetry}%</li>
-        <li>Textura: ${analysisState.texture}%</li>
-        <li>Oleosidade: ${analysisState.oiliness}%</li>
+        <li>${t('insights.metric', { label: t('metric.symmetry'), value: analysisState.symmetry })}</li>
+        <li>${t('insights.metric', { label: t('metric.texture'), value: analysisState.texture })}</li>
+        <li>${t('insights.metric', { label: t('metric.oiliness'), value: analysisState.oiliness })}</li>
     `;
     
-    if (analysisState.insight) {
-        html += `<li class="ai-insight-item"><strong>IA:</strong> ${analysisState.insight}</li>`;
-    } else {
-        html += `<li>Textura de pele detectada: ${analysisState.texture > 50 ? 'Alta' : 'Suave'}</li>`;
+    if (analysisState.aiScores) {
+        html += `<li>${t('insights.skinQuality', { value: analysisState.aiScores.skinQuality })}</li>`;
+    }
+    html += `<li>${t('insights.textureLevel', { level: t(analysisState.texture > 50 ? 'insights.high' : 'insights.smooth') })}</li>`;
+    
+    const frames = analysisState.frames;
+    if (frames && frames.kept + frames.dropped > 1) {
+        html += `<li>${t('insights.frames', { kept: frames.kept, total: frames.kept + frames.dropped })}</li>`;
     }
     
     list.innerHTML = html;
+
+    updateStrengths(analysisState.ai?.pontos_fortes);
+    updateSuggestions(analysisState.ai?.sugestoes_melhoria);
+}
+
+// Rule-based recommendations for the face on screen (knowledgeBase.js)
+function currentRecommendations() {
+    const facts = buildFacts(analysisState, lastAnalysis?.face?.regionScores);
+    return recommend(facts, { locale: getLocale() });
+}
+
+// "Why" text per metric card: AI prose when available,
+// otherwise a note on how the local measurement was made.
+function buildExplanations() {
+    const ai = analysisState.ai || {};
+    const geo = analysisState.geometry;
+    return {
+        symmetry: [
+            ai.simetria?.analise,
+            geo && t('explain.symmetry', { value: geo.asymmetry.overall })
+        ],
+        texture: [
+            ai.qualidade_pele?.analise,
+            t('explain.texture', {
+                value: analysisState.texture,
+                level: t(analysisState.texture > 50 ? 'explain.textureRough' : 'explain.textureSmooth')
+            })
+        ],
+        oiliness: [
+            t('explain.oiliness')
+        ],
+        beard: [
+            t('explain.beard')
+        ]
+    };
+}
+
+// Expandable explanation under each metric card
+function updateExplanations() {
+    Object.entries(buildExplanations()).forEach(([id, parts]) => {
+        const el = document.getElementById(`explain-${id}`);
+        if (!el) return;
+        const text = parts.filter(Boolean);
+        el.classList.toggle('hidden', text.length === 0);
+        el.querySelector('p').innerHTML = text.map(escapeHtml).join('<br><br>');
+    });
+}
+
+function updateStrengths(list) {
+    const el = document.getElementById('strengths-list');
+    if (!el) return;
+    const items = Array.isArray(list) ? list.filter(Boolean) : [];
+    el.innerHTML = items.length > 0
+        ? items.map(item => `<li>${escapeHtml(item)}</li>`).join('')
+        : `<li>${t(analysisState.ai ? 'strengths.none' : 'strengths.needsAi')}</li>`;
+}
+
+function updateSuggestions(list) {
+    const box = document.getElementById('suggestion-box');
+    if (!box) return;
+    const groups = mergeSuggestions(list, currentRecommendations());
+    if (groups.length === 0) {
+        box.innerHTML = `<p>${t(analysisState.ai ? 'suggestions.none' : 'suggestions.needsAi')}</p>`;
+        return;
+    }
+    box.innerHTML = groups.map(g => `
+        <div class="suggestion-group">
+            <h4>${g.icon} ${t(`category.${g.category}`)}</h4>
+            <ul>${g.items.map(item => `
+                <li>
+                    ${escapeHtml(item.text)}
+                    <span class="suggestion-source">${t(`suggestions.source.${item.source}`)}</span>
+                    ${item.rationale ? `<small class="suggestion-rationale">${escapeHtml(item.rationale)}</small>` : ''}
+                </li>`).join('')}</ul>
+        </div>
+    `).join('');
+}
+
+function updateFaceShape(result) {
+    const card = document.getElementById('face-shape-card');
+    const detail = document.getElementById('shape-detail');
+    const { local, ai, agrees } = result;
+    const params = local && { shape: t(`shape.${local.shape}`), confidence: local.confidence };
+
+    document.getElementById('shape-local').innerText = local ? params.shape : '--';
+    document.getElementById('shape-ai').innerText = ai || '--';
+    card.classList.toggle('match', agrees === true);
+    card.classList.toggle('mismatch', agrees === false);
+
+    if (!local) {
+        detail.innerText = '';
+    } else if (agrees === false) {
+        detail.innerText = t('shape.disagree', params);
+    } else if (agrees === true) {
+        detail.innerText = t('shape.agree', params);
+    } else {
+        detail.innerText = ai
+            ? t('shape.unrecognized', params)
+            : t('shape.localOnly', params);
+    }
+}
+
+function updateGeometry(geo) {
+    const set = (id, value, detail = '') => {
+        document.getElementById(`geo-${id}`).innerText = value;
+        document.getElementById(`geo-${id}-detail`).innerText = detail;
+    };
+    if (!geo) {
+        ['asymmetry', 'pose', 'thirds', 'fifths', 'canthal', 'gonial', 'fwhr'].forEach(id => set(id, '--'));
+        return;
+    }
+    const deg = v => `${v > 0 ? '+' : ''}${v}°`;
+    const { asymmetry: a, pose, proportions: p } = geo;
+
+    set('asymmetry', `${a.overall}%`,
+        t('geo.asymmetryDetail', a));
+    set('pose', `${Math.round(Math.max(Math.abs(pose.yaw), Math.abs(pose.pitch), Math.abs(pose.roll)))}°`,
+        `Yaw ${deg(pose.yaw)} · Pitch ${deg(pose.pitch)} · Roll ${deg(pose.roll)}`);
+    set('thirds', `${Math.round(p.thirds.upper)}/${Math.round(p.thirds.middle)}/${Math.round(p.thirds.lower)}`,
+        t('geo.thirdsDetail', p.thirds));
+    set('fifths', `${p.fifths.deviation}%`,
+        t('geo.fifthsDetail', { segments: p.fifths.segments.map(v => Math.round(v)).join(' / ') }));
+    set('canthal', deg(p.canthalTilt.mean),
+        t('geo.sides', { left: deg(p.canthalTilt.left), right: deg(p.canthalTilt.right) }));
+    set('gonial', `${Math.round(p.gonialAngle.mean)}°`,
+        t('geo.sides', { left: `${p.gonialAngle.left}°`, right: `${p.gonialAngle.right}°` }));
+    set('fwhr', `${p.fwhr}`, t('geo.fwhrDetail'));
 }
 
-function updateBar(id, val) {
-    document.getElementById(`score-${id}`).innerText = `${val}%`;
+// `spread` comes from a burst capture: ± std and confidence across frames
+function updateBar(id, val, spread) {
+    const el = document.getElementById(`score-${id}`);
+    el.innerText = `${val}%`;
+    if (spread && spread.confidence !== null) {
+        const small = document.createElement('small');
+        small.className = 'metric-spread';
+        small.innerText = ` ±${spread.std}`;
+        el.appendChild(small);
+        el.title = t('metric.confidence', spread);
+    } else {
+        el.title = '';
+    }
     document.getElementById(`bar-${id}`).style.width = `${val}%`;
 }
 
@@ -0,0 +1,61 @@
+// Baixa os modelos do FaceMesh (detector + landmarks) para public/models,
+// de onde o Vite/Express servem e o service worker guarda para uso offline.
+// Uso: npm run models  (--force baixa de novo mesmo se já existirem)
+import { mkdir, writeFile, access } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'public', 'models');
+
+// Mesmas origens que o face-landmarks-detection usa por padrão (runtime tfjs)
+const MODELS = {
+  'face-detector': 'https://tfhub.dev/mediapipe/tfjs-model/face_detection/short/1',
+  'face-landmarks': 'https://tfhub.dev/mediapipe/tfjs-model/face_landmarks_detection/attention_mesh/1'
+};
+const QUERY = '?tfjs-format=file';
+
+async function download(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${response.status} ao baixar ${url}`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function exists(file) {
+  try {
+    await access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function fetchModel(name, baseUrl, force) {
+  const dir = path.join(ROOT, name);
+  const modelFile = path.join(dir, 'model.json');
+  if (!force && await exists(modelFile)) {
+    console.log(`${name}: já existe, pulando`);
+    return;
+  }
+
+  await mkdir(dir, { recursive: true });
+  const modelJson = await download(`${baseUrl}/model.json${QUERY}`);
+  const manifest = JSON.parse(modelJson.toString('utf8'));
+
+  // Pesos primeiro, model.json por último: um download interrompido não deixa um modelo "pronto" pela metade
+  const shards = manifest.weightsManifest.flatMap(group => group.paths);
+  for (const shard of shards) {
+    await writeFile(path.join(dir, shard), await download(`${baseUrl}/${shard}${QUERY}`));
+  }
+  await writeFile(modelFile, modelJson);
+  console.log(`${name}: ${shards.length} arquivo(s) de pesos salvos em ${path.relative(process.cwd(), dir)}`);
+}
+
+const force = process.argv.includes('--force');
+try {
+  for (const [name, url] of Object.entries(MODELS)) {
+    await fetchModel(name, url, force);
+  }
+} catch (error) {
+  console.error('Falha ao baixar os modelos:', error.message);
+  process.exitCode = 1;
+}
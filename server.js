@@ -1,96 +1,198 @@
 import 'dotenv/config';
+import path from 'node:path';
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
 import express from 'express';
-import multer from 'multer';
 import cors from 'cors';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createProvider, analyzeImage } from './server/providers/index.js';
+import { ApiError } from './server/errors.js';
+import { acceptPhoto, receivePhoto, preprocessImage } from './server/upload.js';
+import { requireToken, rateLimit } from './server/access.js';
+import { createAnalysisCache, cacheKey } from './server/cache.js';
+import { resolveLocale } from './server/prompt.js';
+import { forgetUpload, debugLog, logError, DEBUG_LOG_CONTENT } from './server/privacy.js';
 
 const app = express();
-const port = 3000;
+const port = Number(process.env.PORT || 3000);
+
+// Atrás de um proxy reverso (nginx, Render...) req.protocol/req.ip vêm dos X-Forwarded-*
+if (process.env.TRUST_PROXY) {
+  const value = process.env.TRUST_PROXY;
+  const hops = Number(value);
+  app.set('trust proxy', value === 'true' ? true : Number.isNaN(hops) ? value : hops);
+}
+
+// Origens liberadas no CORS, separadas por vírgula (CORS_ORIGINS=https://app.exemplo.com,http://192.168.0.10:5173).
+// Sem configuração só o servidor de dev do Vite é aceito; "*" libera tudo.
+const allowedOrigins = (process.env.CORS_ORIGINS || 'http://localhost:5173,http://127.0.0.1:5173')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Pasta do build do Vite servida pelo próprio Express (SERVE_STATIC=false desliga)
+const distDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), process.env.STATIC_DIR || 'dist');
+const serveStatic = process.env.SERVE_STATIC !== 'false' && existsSync(distDir);
+
+// Cabeçalhos que o frontend em outra origem precisa conseguir ler
+const EXPOSED_HEADERS = ['X-Cache', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'];
 
 // 1. Configurações básicas
-app.use(cors()); // Libera acesso para o Frontend
+// CORS só na API: os assets do build vêm com <script type="module" crossorigin>,
+// que manda Origin, e atrás de proxy HTTPS sem TRUST_PROXY a checagem de mesma
+// origem falharia e bloquearia o próprio bundle do app
+app.use('/api', cors((req, callback) => {
+  const origin = req.headers.origin;
+  // Sem Origin (curl) ou mesma origem (frontend servido por este processo) passam direto
+  const sameOrigin = origin && origin === `${req.protocol}://${req.headers.host}`;
+  if (!origin || sameOrigin || allowedOrigins.includes('*') || allowedOrigins.includes(origin)) {
+    return callback(null, { origin: true, exposedHeaders: EXPOSED_HEADERS });
+  }
+  callback(new ApiError(403, 'ORIGIN_NOT_ALLOWED', `Origem não permitida: ${origin}`));
+}));
 app.use(express.json());
 
-// 2. Configura o Multer para salvar a imagem na memória RAM temporariamente
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
+// 2. Inicializa o provedor de visão (AI_PROVIDER=gemini|openai|mock).
+// Sem provedor configurado o servidor não sobe.
+let provider;
+try {
+  provider = createProvider();
+} catch (error) {
+  console.error(`Erro de configuração: ${error.message}`);
+  process.exit(1);
+}
+if (provider.name === 'mock') {
+  console.warn("Usando o provedor MOCK: respostas prontas, sem chamada a nenhuma IA.");
+}
+const cache = createAnalysisCache();
 
-// 3. Inicializa o Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Cache + provedor, compartilhado pelas duas rotas de análise.
+// Devolve { data, cache: 'HIT' | 'MISS' | 'BYPASS' }.
+async function runAnalysis(image, locale, options = {}) {
+  // Mesma imagem (após o tratamento) + mesmo provedor + mesmo idioma = mesma análise
+  const key = cacheKey(image.buffer, provider.name, provider.model, locale);
+  const cached = await cache.get(key);
+  if (cached) return { data: cached, cache: 'HIT' };
 
-// 4. Função auxiliar para converter o buffer do arquivo para o formato do Gemini
-function fileToGenerativePart(buffer, mimeType) {
-  return {
-    inlineData: {
-      data: buffer.toString("base64"),
-      mimeType
-    },
-  };
+  // Envia para o provedor (mesmo prompt e normalização para todos)
+  const { text, data } = await analyzeImage(provider, {
+    buffer: image.buffer,
+    mimeType: image.mimeType,
+    locale
+  }, options);
+
+  debugLog(`${provider.name} Raw Response:`, text); // só com DEBUG_LOG_CONTENT=true
+
+  await cache.set(key, data);
+  return { data, cache: cache.enabled ? 'MISS' : 'BYPASS' };
+}
+
+// Idioma do texto da IA: campo "locale" do formulário ou Accept-Language
+function requestLocale(req) {
+  return resolveLocale(req.body?.locale || req.get('accept-language'));
 }
 
-// 5. Rota Principal (Onde o "antigravit" recebe a foto)
-app.post('/api/analisar-rosto', upload.single('foto'), async (req, res) => {
+// Cliente desconectou (aba fechada, botão cancelar): cancela a chamada à IA também
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  return controller.signal;
+}
+
+// Um só limitador para as duas rotas de análise: contam juntas por cliente,
+// senão alternar entre elas dobraria o limite
+const analysisLimit = rateLimit();
+
+// 3. Rota Principal (Onde o "antigravit" recebe a foto)
+// requireToken/rateLimit barram antes do upload; receivePhoto valida
+// tamanho/formato e deixa a imagem tratada em req.image; forgetUpload zera tudo no fim
+app.post('/api/analisar-rosto', requireToken(), analysisLimit, forgetUpload(), receivePhoto('foto'), async (req, res, next) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'Nenhuma imagem enviada.' });
-    }
-
-    // Configura o modelo (Flash é rápido para isso)
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-
-    // Prepara a imagem
-    const imagePart = fileToGenerativePart(req.file.buffer, req.file.mimetype);
-
-    // O Prompt Mágico (Focado em JSON para facilitar seu frontend)
-    const prompt = `
-      Atue como um especialista em visagismo e estética facial. Analise esta imagem.
-      O objetivo é "Looksmaxxing" (melhoria estética).
-      
-      Por favor, retorne APENAS um objeto JSON (sem crase, sem markdown) com a seguinte estrutura:
-      {
-        "simetria": {
-          "nota": "0 a 10",
-          "analise": "Descrição breve da simetria dos olhos, sobrancelhas e mandíbula."
-        },
-        "qualidade_pele": {
-          "nota": "0 a 10",
-          "analise": "Descrição de textura, acne ou manchas visíveis."
-        },
-        "formato_rosto": "Oval, Quadrado, Diamante, etc.",
-        "pontos_fortes": ["ponto 1", "ponto 2"],
-        "sugestoes_melhoria": [
-          "Dica prática 1 (ex: estilo de barba ou cabelo)",
-          "Dica prática 2 (ex: skincare)",
-          "Dica prática 3 (ex: exercícios ou postura)"
-        ]
-      }
-    `;
-
-    // Envia para o Gemini
-    const result = await model.generateContent([prompt, imagePart]);
-    const response = await result.response;
-    const text = response.text();
-    
-    console.log("Gemini Raw Response:", text); // Debug log
-
-    // Robust JSON extraction
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error("Não foi possível encontrar um JSON válido na resposta da IA.");
-    }
-    
-    const jsonString = jsonMatch[0];
-    const data = JSON.parse(jsonString);
+    const { data, cache: status } = await runAnalysis(req.image, requestLocale(req), { signal: abortOnDisconnect(res) });
 
     // Devolve para o seu Frontend
+    res.set('X-Cache', status);
     res.json(data);
 
   } catch (error) {
-    console.error("Erro na análise:", error);
-    res.status(500).json({ error: 'Erro ao processar imagem com IA. Verifique os logs do servidor.' });
+    next(error);
+  }
+});
+
+// 3b. Mesma análise em Server-Sent Events, para o frontend mostrar o progresso:
+//   event: stage  -> { stage: received | preprocessed | model | repair | parsing | done, ... }
+//   event: text   -> { chunk } texto parcial da IA
+//   event: result -> { analysis, cache }
+//   event: error  -> mesmo corpo JSON das respostas de erro
+// Erros antes do upload terminar (token, limite, arquivo inválido) continuam
+// como resposta HTTP comum, já que o stream ainda não começou.
+app.post('/api/analisar-rosto/stream', requireToken(), analysisLimit, forgetUpload(), acceptPhoto('foto'), async (req, res) => {
+  const signal = abortOnDisconnect(res);
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'X-Accel-Buffering': 'no' // nginx não deve segurar os eventos
+  });
+  res.flushHeaders();
+
+  try {
+    send('stage', { stage: 'received', bytes: req.file.size });
+    const image = req.image = await preprocessImage(req.file.buffer, req.imageType);
+    send('stage', { stage: 'preprocessed', width: image.width, height: image.height });
+
+    const { data, cache: status } = await runAnalysis(image, requestLocale(req), {
+      signal,
+      onStage: (stage, info) => send('stage', { stage, ...info }),
+      onText: chunk => send('text', { chunk })
+    });
+
+    send('stage', { stage: 'done' });
+    send('result', { analysis: data, cache: status });
+  } catch (error) {
+    if (signal.aborted) return console.warn('Análise cancelada pelo cliente.');
+    logError("Erro na análise:", error);
+    send('error', error instanceof ApiError
+      ? error
+      : { error: 'Erro ao processar imagem com IA. Verifique os logs do servidor.', code: 'INTERNAL_ERROR' });
+  } finally {
+    res.end();
   }
 });
 
+// 4. Frontend: com o build presente, um único processo serve app + API
+if (serveStatic) {
+  app.use(express.static(distDir));
+  app.get(/^\/(?!api\/).*/, (req, res) => res.sendFile(path.join(distDir, 'index.html')));
+}
+
+// Rotas /api inexistentes respondem JSON, não a página do app
+app.use('/api', (req, res, next) => {
+  next(new ApiError(404, 'NOT_FOUND', `Rota não encontrada: ${req.method} ${req.originalUrl}`));
+});
+
+// 5. Tratamento de erros: ApiError vira resposta tipada, o resto vira 500
+app.use((error, req, res, next) => {
+  logError("Erro na análise:", error);
+  if (error instanceof ApiError) {
+    return res.status(error.status).json(error);
+  }
+  res.status(500).json({ error: 'Erro ao processar imagem com IA. Verifique os logs do servidor.', code: 'INTERNAL_ERROR' });
+});
+
 app.listen(port, () => {
-  console.log(`Servidor rodando em http://localhost:${port}`);
+  console.log(`Servidor rodando em http://localhost:${port} (IA: ${provider.name}/${provider.model})`);
+  if (serveStatic) console.log(`Servindo o frontend de ${distDir}`);
+  console.log(`CORS liberado para: ${allowedOrigins.join(', ')}`);
+  if (process.env.API_TOKEN) console.log('Endpoint de análise protegido por token (API_TOKEN, público no bundle: não é segredo).');
+  if (DEBUG_LOG_CONTENT) console.warn('DEBUG_LOG_CONTENT ativo: respostas da IA vão para o log.');
+  if (cache.enabled) {
+    console.warn(`Cache de análises ativo: até ${cache.maxEntries} respostas da IA em memória por ${cache.ttlMs / 3600000} h `
+      + '(ANALYSIS_CACHE_SIZE=0 desliga para retenção zero).');
+  }
+  if (process.env.ANALYSIS_CACHE_DIR) console.warn('ANALYSIS_CACHE_DIR ignorado: o cache não grava mais em disco.');
 });
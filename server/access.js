@@ -0,0 +1,88 @@
+// Proteção do endpoint de análise: token compartilhado opcional e limite de
+// requisições por cliente. Tudo em memória, sem dependências externas.
+// O API_TOKEN NÃO é segredo: o frontend o recebe via VITE_API_TOKEN e ele fica
+// visível no bundle público. Serve só para barrar chamadas casuais de fora do
+// app; quem limita o abuso é o rate limit por IP.
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { ApiError } from './errors.js';
+
+export const ACCESS_LIMITS = {
+  token: process.env.API_TOKEN || '',
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_S || 60) * 1000,
+  max: Number(process.env.RATE_LIMIT_MAX || 10)
+};
+
+// Aceita "X-Api-Key: <token>" ou "Authorization: Bearer <token>"
+function readToken(req) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+  const auth = req.get('authorization') || '';
+  return auth.startsWith('Bearer ') ? auth.slice(7).trim() : '';
+}
+
+// Compara via hash para o tempo não depender do tamanho nem do conteúdo
+function sameToken(a, b) {
+  const digest = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(a), digest(b));
+}
+
+// Middleware: sem API_TOKEN configurado não exige nada
+export function requireToken(token = ACCESS_LIMITS.token) {
+  return (req, res, next) => {
+    if (!token) return next();
+    const received = readToken(req);
+    if (!received) return next(new ApiError(401, 'UNAUTHORIZED', 'Token de acesso ausente.'));
+    if (!sameToken(received, token)) return next(new ApiError(403, 'FORBIDDEN', 'Token de acesso inválido.'));
+    next();
+  };
+}
+
+// Cliente = IP (req.ip respeita TRUST_PROXY). Nunca o token: sem API_TOKEN
+// qualquer valor enviado abriria um balde novo a cada requisição, e com ele
+// todos os usuários mandam o mesmo token do bundle e dividiriam um só balde.
+export function clientKey(req) {
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Limite por janela fixa: `max` requisições a cada `windowMs` por cliente.
+ * Envia RateLimit-* em toda resposta e Retry-After no 429.
+ */
+export function rateLimit({ windowMs = ACCESS_LIMITS.windowMs, max = ACCESS_LIMITS.max, keyOf = clientKey } = {}) {
+  const hits = new Map();
+
+  // Limpa janelas vencidas para o Map não crescer sem fim
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => { if (entry.resetAt <= now) hits.delete(key); });
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    if (!max) return next();
+
+    const now = Date.now();
+    const key = keyOf(req);
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    const resetS = Math.ceil((entry.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - entry.count)),
+      'RateLimit-Reset': String(resetS)
+    });
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(resetS));
+      return next(new ApiError(429, 'RATE_LIMITED',
+        `Muitas análises em pouco tempo. Tente novamente em ${resetS}s.`,
+        { limit: max, windowS: Math.round(windowMs / 1000), retryAfterS: resetS }));
+    }
+    next();
+  };
+}
@@ -0,0 +1,54 @@
+// Cache das análises pelo hash do conteúdo da imagem: a mesma foto não
+// paga a IA duas vezes. Só em memória (LRU) e com prazo curto: o JSON guarda
+// a descrição que a IA fez do rosto, então nada vai para o disco e cada
+// entrada some após ANALYSIS_CACHE_TTL_H (padrão 1 h), lida ou não.
+// ANALYSIS_CACHE_SIZE=0 desliga o cache (retenção zero).
+import { createHash } from 'node:crypto';
+
+export const CACHE_OPTIONS = {
+  maxEntries: Number(process.env.ANALYSIS_CACHE_SIZE ?? 200),
+  ttlMs: Number(process.env.ANALYSIS_CACHE_TTL_H || 1) * 3600 * 1000
+};
+
+// Chave: imagem tratada + tudo que muda a resposta (provedor, modelo...)
+export function cacheKey(buffer, ...parts) {
+  const hash = createHash('sha256');
+  parts.forEach(part => hash.update(`${part}\0`));
+  hash.update(buffer);
+  return hash.digest('hex');
+}
+
+export function createAnalysisCache({ maxEntries, ttlMs } = CACHE_OPTIONS) {
+  const memory = new Map(); // ordem de inserção = ordem de uso
+  const enabled = maxEntries > 0 && ttlMs > 0;
+
+  const expired = entry => Date.now() - entry.storedAt > ttlMs;
+
+  // Remove as entradas vencidas mesmo sem leitura, para o prazo valer de fato
+  if (enabled) {
+    const sweep = setInterval(() => {
+      memory.forEach((entry, key) => { if (expired(entry)) memory.delete(key); });
+    }, Math.min(ttlMs, 60 * 1000));
+    sweep.unref();
+  }
+
+  async function get(key) {
+    if (!enabled) return null;
+    const entry = memory.get(key);
+    if (!entry) return null;
+    memory.delete(key);
+    if (expired(entry)) return null;
+
+    memory.set(key, entry);
+    return entry.data;
+  }
+
+  async function set(key, data) {
+    if (!enabled) return;
+    memory.delete(key);
+    memory.set(key, { storedAt: Date.now(), data });
+    while (memory.size > maxEntries) memory.delete(memory.keys().next().value);
+  }
+
+  return { enabled, maxEntries, ttlMs, get, set };
+}
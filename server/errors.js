@@ -0,0 +1,25 @@
+// Erros tipados da API: cada um carrega o status HTTP e um código estável
+// que o frontend pode usar para mostrar a mensagem certa.
+export class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    const body = { error: this.message, code: this.code };
+    if (this.details !== undefined) body.details = this.details;
+    return body;
+  }
+}
+
+// Resposta da IA que não pôde ser aproveitada (mesmo após o reparo)
+export class AnalysisError extends ApiError {
+  constructor(code, message, details) {
+    super(502, code, message, details);
+    this.name = 'AnalysisError';
+  }
+}
@@ -0,0 +1,105 @@
+// Normalização da resposta dos modelos.
+// Todos os provedores devolvem texto livre; aqui extraímos o JSON, validamos
+// contra o schema e convertemos as notas para número (0 a 10).
+import { AnalysisError } from './errors.js';
+
+const SCORE_FIELDS = ['simetria', 'qualidade_pele'];
+const LIST_FIELDS = ['pontos_fortes', 'sugestoes_melhoria'];
+
+// Aceita 8, "8", "8/10", "8,5", "85%" (escala 0-100) -> número entre 0 e 10.
+// A string inteira tem de ser a nota: "0 a 10" (a IA repetindo o exemplo
+// do prompt) ou "7 de 10, mas..." viram NaN para o reparo entrar em ação.
+const SCORE_TEXT = /^(\d+(?:[.,]\d+)?)\s*(?:\/\s*(\d+(?:[.,]\d+)?)|(%))?$/;
+
+export function coerceScore(value) {
+  if (typeof value === 'number') return normalizeScale(value);
+  if (typeof value !== 'string') return NaN;
+
+  const match = value.trim().match(SCORE_TEXT);
+  if (!match) return NaN;
+
+  const [, num, den, percent] = match;
+  const n = parseFloat(num.replace(',', '.'));
+  if (den !== undefined) {
+    const d = parseFloat(den.replace(',', '.'));
+    return d > 0 ? normalizeScale(n / d * 10) : NaN;
+  }
+  return normalizeScale(percent ? n / 10 : n);
+}
+
+function normalizeScale(n) {
+  if (!Number.isFinite(n)) return NaN;
+  if (n > 10 && n <= 100) n = n / 10; // modelo respondeu em 0-100
+  if (n < 0 || n > 10) return NaN;
+  return Math.round(n * 10) / 10;
+}
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Valida e normaliza o objeto da IA.
+ * Devolve { value, issues }: `value` só contém os campos do schema e
+ * `issues` lista o que estiver faltando ou inválido (vazio = ok).
+ */
+export function validateAnalysis(raw) {
+  const issues = [];
+  const value = {};
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value, issues: ['A resposta deve ser um objeto JSON.'] };
+  }
+
+  SCORE_FIELDS.forEach(field => {
+    const section = raw[field];
+    if (!section || typeof section !== 'object') {
+      issues.push(`"${field}" deve ser um objeto com "nota" e "analise".`);
+      return;
+    }
+    const nota = coerceScore(section.nota);
+    if (Number.isNaN(nota)) issues.push(`"${field}.nota" deve ser um número de 0 a 10.`);
+    const analise = cleanText(section.analise);
+    if (!analise) issues.push(`"${field}.analise" deve ser um texto não vazio.`);
+    value[field] = { nota, analise };
+  });
+
+  const formato = cleanText(raw.formato_rosto);
+  if (!formato) issues.push('"formato_rosto" deve ser um texto não vazio.');
+  value.formato_rosto = formato;
+
+  LIST_FIELDS.forEach(field => {
+    let list = raw[field];
+    if (typeof list === 'string') list = [list]; // item único sem array
+    if (!Array.isArray(list)) {
+      issues.push(`"${field}" deve ser uma lista de textos.`);
+      value[field] = [];
+      return;
+    }
+    value[field] = list.map(cleanText).filter(Boolean);
+    if (value[field].length === 0) issues.push(`"${field}" deve ter pelo menos um item.`);
+  });
+
+  return { value, issues };
+}
+
+// Texto do modelo -> objeto validado. Lança AnalysisError com o motivo.
+export function parseAnalysis(text) {
+  const jsonMatch = String(text ?? '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new AnalysisError('AI_NO_JSON', "Não foi possível encontrar um JSON válido na resposta da IA.");
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(jsonMatch[0]);
+  } catch (e) {
+    throw new AnalysisError('AI_INVALID_JSON', "A IA devolveu um JSON malformado.", [e.message]);
+  }
+
+  const { value, issues } = validateAnalysis(raw);
+  if (issues.length > 0) {
+    throw new AnalysisError('AI_SCHEMA_MISMATCH', "A resposta da IA não segue o formato esperado.", issues);
+  }
+  return value;
+}
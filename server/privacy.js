@@ -0,0 +1,39 @@
+// Garantia de não retenção: a foto só existe em memória durante a requisição.
+// - os buffers do upload e da imagem tratada são zerados quando a resposta termina
+//   (sucesso, erro ou cliente que desconectou)
+// - nada do conteúdo pessoal (texto da IA, detalhes de erro com trechos dele)
+//   vai para o log, a não ser com DEBUG_LOG_CONTENT=true
+// Exceção: o cache de análises guarda o hash da imagem e o JSON da IA (que
+// descreve o rosto) só em memória e por ANALYSIS_CACHE_TTL_H (padrão 1 h);
+// ANALYSIS_CACHE_SIZE=0 desliga. O servidor avisa no log ao subir (ver cache.js).
+// A cópia em base64 enviada ao provedor é uma string (imutável) e some com o GC.
+import { ApiError } from './errors.js';
+
+export const DEBUG_LOG_CONTENT = process.env.DEBUG_LOG_CONTENT === 'true';
+
+export function wipe(...buffers) {
+  buffers.forEach(buffer => {
+    if (Buffer.isBuffer(buffer)) buffer.fill(0);
+  });
+}
+
+// Middleware: zera req.file e req.image no fim da resposta. Vem antes do upload
+// na cadeia para valer também quando a validação falha.
+export function forgetUpload() {
+  return (req, res, next) => {
+    res.on('close', () => wipe(req.file?.buffer, req.image?.buffer));
+    next();
+  };
+}
+
+// Log de conteúdo pessoal (resposta bruta da IA), só em modo debug
+export function debugLog(label, content) {
+  if (DEBUG_LOG_CONTENT) console.log(label, content);
+}
+
+// Erros da API podem trazer trechos da resposta da IA em `details`:
+// fora do modo debug vai só o código e a mensagem.
+export function logError(label, error) {
+  if (DEBUG_LOG_CONTENT || !(error instanceof ApiError)) return console.error(label, error);
+  console.error(label, `${error.name} ${error.code} (${error.status}): ${error.message}`);
+}
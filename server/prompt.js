@@ -0,0 +1,64 @@
+// Prompt único enviado a todos os provedores de visão.
+// Manter a estrutura do JSON em sincronia com o frontend (script.js).
+// As chaves do JSON são fixas (em português) em qualquer idioma; só o texto
+// livre dos valores muda conforme o locale pedido pelo cliente.
+
+export const LOCALES = ['pt', 'en'];
+export const DEFAULT_LOCALE = 'pt';
+
+// "en-US,en;q=0.9", "pt-BR" ou "en" -> locale suportado (ou o padrão)
+export function resolveLocale(value) {
+  const tags = String(value || '').toLowerCase().split(',').map(tag => tag.split(';')[0].trim().slice(0, 2));
+  return tags.find(tag => LOCALES.includes(tag)) || DEFAULT_LOCALE;
+}
+
+const LANGUAGE_NOTES = {
+  pt: '',
+  en: `
+      IMPORTANT: write every text value (analise, formato_rosto, pontos_fortes,
+      sugestoes_melhoria) in English. Keep the JSON keys exactly as shown above,
+      in Portuguese, and the scores as numbers.
+    `
+};
+export const ANALYSIS_PROMPT = `
+      Atue como um especialista em visagismo e estética facial. Analise esta imagem.
+      O objetivo é "Looksmaxxing" (melhoria estética).
+      
+      Por favor, retorne APENAS um objeto JSON (sem crase, sem markdown) com a seguinte estrutura:
+      {
+        "simetria": {
+          "nota": "0 a 10",
+          "analise": "Descrição breve da simetria dos olhos, sobrancelhas e mandíbula."
+        },
+        "qualidade_pele": {
+          "nota": "0 a 10",
+          "analise": "Descrição de textura, acne ou manchas visíveis."
+        },
+        "formato_rosto": "Oval, Quadrado, Diamante, etc.",
+        "pontos_fortes": ["ponto 1", "ponto 2"],
+        "sugestoes_melhoria": [
+          "Dica prática 1 (ex: estilo de barba ou cabelo)",
+          "Dica prática 2 (ex: skincare)",
+          "Dica prática 3 (ex: exercícios ou postura)"
+        ]
+      }
+    `;
+
+export function buildAnalysisPrompt(locale = DEFAULT_LOCALE) {
+  return ANALYSIS_PROMPT + (LANGUAGE_NOTES[locale] || '');
+}
+
+// Pedido de correção quando a resposta anterior não passou na validação
+export function buildRepairPrompt(previousText, issues, locale = DEFAULT_LOCALE) {
+  return `
+      Sua resposta anterior não pôde ser usada porque não segue o formato pedido.
+      Problemas encontrados:
+      ${issues.map(issue => `- ${issue}`).join('\n      ')}
+
+      Resposta anterior:
+      ${String(previousText ?? '').slice(0, 4000)}
+
+      Corrija e retorne APENAS o objeto JSON (sem crase, sem markdown), com as notas
+      como números de 0 a 10 e exatamente esta estrutura:
+${buildAnalysisPrompt(locale).slice(ANALYSIS_PROMPT.indexOf('{'))}`;
+}
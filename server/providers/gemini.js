@@ -0,0 +1,43 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// Converte o buffer do arquivo para o formato do Gemini
+function fileToGenerativePart(buffer, mimeType) {
+  return {
+    inlineData: {
+      data: buffer.toString("base64"),
+      mimeType
+    },
+  };
+}
+
+export function createGeminiProvider({ apiKey = process.env.GEMINI_API_KEY, model = process.env.GEMINI_MODEL || "gemini-1.5-flash" } = {}) {
+  if (!apiKey) throw new Error("GEMINI_API_KEY não configurada.");
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    model,
+    // onText(chunk) recebe o texto parcial quando a chamada é em streaming;
+    // signal cancela a requisição ao Gemini
+    async analyze({ prompt, buffer, mimeType, signal, onText }) {
+      // Flash é rápido para isso
+      const generativeModel = genAI.getGenerativeModel({ model });
+      const request = [prompt, fileToGenerativePart(buffer, mimeType)];
+
+      if (!onText) {
+        const result = await generativeModel.generateContent(request, { signal });
+        const response = await result.response;
+        return response.text();
+      }
+
+      const result = await generativeModel.generateContentStream(request, { signal });
+      let text = '';
+      for await (const chunk of result.stream) {
+        const part = chunk.text();
+        text += part;
+        if (part) onText(part);
+      }
+      return text;
+    }
+  };
+}
@@ -0,0 +1,72 @@
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+import { buildAnalysisPrompt, buildRepairPrompt } from '../prompt.js';
+import { parseAnalysis } from '../normalize.js';
+import { ApiError, AnalysisError } from '../errors.js';
+
+const FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+// Escolhe o provedor: AI_PROVIDER explícito ou o primeiro com chave configurada.
+// O mock só é usado quando pedido (AI_PROVIDER=mock): sem nenhuma chave o
+// servidor não sobe, para nunca servir análises falsas em produção.
+export function resolveProviderName(env = process.env) {
+  if (env.AI_PROVIDER) return env.AI_PROVIDER.trim().toLowerCase();
+  if (env.GEMINI_API_KEY) return 'gemini';
+  if (env.OPENAI_API_KEY) return 'openai';
+  throw new Error('Nenhum provedor de IA configurado. Defina GEMINI_API_KEY ou OPENAI_API_KEY '
+    + '(ou AI_PROVIDER=mock para desenvolvimento local sem IA).');
+}
+
+export function createProvider(name = resolveProviderName(), options = {}) {
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Provedor de IA desconhecido: "${name}". Use ${Object.keys(FACTORIES).join(', ')}.`);
+  }
+  return factory(options);
+}
+
+const REPAIR_ATTEMPTS = Number(process.env.AI_REPAIR_ATTEMPTS ?? 1);
+
+async function callProvider(provider, request) {
+  try {
+    return await provider.analyze(request);
+  } catch (error) {
+    if (request.signal?.aborted) {
+      throw new ApiError(499, 'CANCELLED', 'Análise cancelada pelo cliente.');
+    }
+    // A mensagem do SDK (URLs, ids de requisição, cotas da conta) fica só no log
+    console.error(`Erro do provedor ${provider.name}:`, error.message);
+    throw new AnalysisError('AI_PROVIDER_ERROR', `Falha ao consultar o provedor de IA (${provider.name}).`);
+  }
+}
+
+// Mesmo prompt e mesma normalização para todos os provedores.
+// Se a resposta vier fora do schema, pede ao modelo que corrija (até N vezes)
+// antes de desistir com o AnalysisError da última tentativa.
+// Opcional: signal cancela a chamada, onText recebe o texto parcial (streaming)
+// e onStage(stage, info) avisa cada etapa ('model', 'parsing', 'repair').
+// `locale` escolhe o idioma do texto da IA; as chaves do JSON não mudam.
+export async function analyzeImage(provider, { buffer, mimeType, locale }, {
+  repairAttempts = REPAIR_ATTEMPTS, signal, onText, onStage = () => {}
+} = {}) {
+  onStage('model', { attempt: 0 });
+  let text = await callProvider(provider, { prompt: buildAnalysisPrompt(locale), buffer, mimeType, locale, signal, onText });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      onStage('parsing', { attempt });
+      return { text, data: parseAnalysis(text), repairs: attempt };
+    } catch (error) {
+      if (!(error instanceof AnalysisError) || attempt >= repairAttempts) throw error;
+      const issues = error.details || [error.message];
+      console.warn(`Resposta inválida de ${provider.name} (${error.code}), pedindo correção...`);
+      onStage('repair', { attempt: attempt + 1, code: error.code });
+      text = await callProvider(provider, { prompt: buildRepairPrompt(text, issues, locale), buffer, mimeType, locale, signal, onText });
+    }
+  }
+}
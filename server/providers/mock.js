@@ -0,0 +1,113 @@
+import { createHash } from 'node:crypto';
+
+// Análises prontas para desenvolvimento e testes automatizados (sem rede, sem chave).
+// A escolha depende do hash da imagem: a mesma foto sempre recebe a mesma resposta.
+const CANNED = [
+  {
+    simetria: { nota: 8, analise: "Olhos e sobrancelhas bem alinhados; leve desvio no canto direito da boca." },
+    qualidade_pele: { nota: 7, analise: "Textura uniforme com poros visíveis na zona T." },
+    formato_rosto: "Oval",
+    pontos_fortes: ["Mandíbula bem definida", "Olhos simétricos"],
+    sugestoes_melhoria: [
+      "Barba curta e aparada nas laterais para valorizar a mandíbula.",
+      "Use um sabonete facial para pele oleosa na zona T duas vezes ao dia.",
+      "Pratique exercícios de postura cervical para alinhar o queixo."
+    ]
+  },
+  {
+    simetria: { nota: 7, analise: "Sobrancelha esquerda ligeiramente mais alta; mandíbula equilibrada." },
+    qualidade_pele: { nota: 6, analise: "Algumas marcas de acne nas bochechas e leve oleosidade na testa." },
+    formato_rosto: "Quadrado",
+    pontos_fortes: ["Queixo forte", "Boa proporção entre os terços do rosto"],
+    sugestoes_melhoria: [
+      "Corte com volume no topo e laterais curtas para suavizar os ângulos.",
+      "Inclua niacinamida e protetor solar diário na rotina de skincare.",
+      "Evite projetar a cabeça para frente ao usar o celular."
+    ]
+  },
+  {
+    simetria: { nota: 9, analise: "Alta simetria entre olhos, sobrancelhas e contorno da mandíbula." },
+    qualidade_pele: { nota: 8, analise: "Pele lisa, sem manchas aparentes." },
+    formato_rosto: "Diamante",
+    pontos_fortes: ["Maçãs do rosto marcadas", "Pele uniforme"],
+    sugestoes_melhoria: [
+      "Franja leve ou volume na testa para equilibrar as maçãs do rosto.",
+      "Mantenha hidratante leve e protetor solar FPS 30+.",
+      "Mantenha os ombros alinhados nas fotos para realçar o pescoço."
+    ]
+  }
+];
+
+// Espera que respeita o cancelamento, para o mock se comportar como uma chamada de rede
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Mesmas respostas em inglês (chaves do JSON continuam em português)
+const CANNED_EN = [
+  {
+    simetria: { nota: 8, analise: "Eyes and eyebrows well aligned; slight deviation at the right corner of the mouth." },
+    qualidade_pele: { nota: 7, analise: "Even texture with visible pores in the T-zone." },
+    formato_rosto: "Oval",
+    pontos_fortes: ["Well-defined jawline", "Symmetrical eyes"],
+    sugestoes_melhoria: [
+      "Short beard trimmed on the sides to highlight the jawline.",
+      "Use a facial cleanser for oily skin on the T-zone twice a day.",
+      "Practice neck posture exercises to align the chin."
+    ]
+  },
+  {
+    simetria: { nota: 7, analise: "Left eyebrow slightly higher; balanced jaw." },
+    qualidade_pele: { nota: 6, analise: "Some acne marks on the cheeks and mild oiliness on the forehead." },
+    formato_rosto: "Square",
+    pontos_fortes: ["Strong chin", "Good balance between the facial thirds"],
+    sugestoes_melhoria: [
+      "Cut with volume on top and short sides to soften the angles.",
+      "Add niacinamide and daily sunscreen to your skincare routine.",
+      "Avoid pushing your head forward when using your phone."
+    ]
+  },
+  {
+    simetria: { nota: 9, analise: "High symmetry between eyes, eyebrows and jaw contour." },
+    qualidade_pele: { nota: 8, analise: "Smooth skin, no visible spots." },
+    formato_rosto: "Diamond",
+    pontos_fortes: ["Defined cheekbones", "Even skin"],
+    sugestoes_melhoria: [
+      "Light fringe or volume at the forehead to balance the cheekbones.",
+      "Keep a light moisturizer and SPF 30+ sunscreen.",
+      "Keep your shoulders aligned in photos to lengthen the neck."
+    ]
+  }
+];
+
+export function createMockProvider({ chunkDelayMs = Number(process.env.MOCK_STREAM_DELAY_MS ?? 40) } = {}) {
+  return {
+    name: 'mock',
+    model: 'mock',
+    async analyze({ buffer, locale, signal, onText }) {
+      const digest = createHash('sha256').update(buffer ?? Buffer.alloc(0)).digest();
+      const canned = (locale === 'en' ? CANNED_EN : CANNED)[digest[0] % CANNED.length];
+      // Devolve texto, como um modelo real, para passar pela mesma normalização
+      const text = JSON.stringify(canned);
+      if (!onText) return text;
+
+      // Streaming simulado em pedaços de ~40 caracteres
+      for (let i = 0; i < text.length; i += 40) {
+        await delay(chunkDelayMs, signal);
+        onText(text.slice(i, i + 40));
+      }
+      return text;
+    }
+  };
+}
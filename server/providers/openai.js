@@ -0,0 +1,39 @@
+import OpenAI from 'openai';
+
+export function createOpenAIProvider({ apiKey = process.env.OPENAI_API_KEY, model = process.env.OPENAI_MODEL || "gpt-4o-mini" } = {}) {
+  if (!apiKey) throw new Error("OPENAI_API_KEY não configurada.");
+  const client = new OpenAI({ apiKey });
+
+  return {
+    name: 'openai',
+    model,
+    // Mesmo contrato do Gemini: onText liga o streaming, signal cancela
+    async analyze({ prompt, buffer, mimeType, signal, onText }) {
+      const request = {
+        model,
+        response_format: { type: 'json_object' },
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            { type: 'image_url', image_url: { url: `data:${mimeType};base64,${buffer.toString("base64")}` } }
+          ]
+        }]
+      };
+
+      if (!onText) {
+        const completion = await client.chat.completions.create(request, { signal });
+        return completion.choices[0]?.message?.content ?? '';
+      }
+
+      const stream = await client.chat.completions.create({ ...request, stream: true }, { signal });
+      let text = '';
+      for await (const chunk of stream) {
+        const part = chunk.choices[0]?.delta?.content ?? '';
+        text += part;
+        if (part) onText(part);
+      }
+      return text;
+    }
+  };
+}
@@ -0,0 +1,123 @@
+// Recebimento e pré-processamento da foto enviada.
+// - limita o tamanho (MAX_UPLOAD_MB, padrão 8)
+// - confere os bytes mágicos em vez de confiar no mimetype do cliente
+// - aplica a orientação EXIF, remove todos os metadados (inclusive GPS)
+//   e reduz para no máximo MAX_IMAGE_DIMENSION px antes de ir para a IA
+import multer from 'multer';
+import sharp from 'sharp';
+import heicConvert from 'heic-convert';
+import { ApiError } from './errors.js';
+import { wipe } from './privacy.js';
+
+export const UPLOAD_LIMITS = {
+  maxBytes: Number(process.env.MAX_UPLOAD_MB || 8) * 1024 * 1024,
+  maxDimension: Number(process.env.MAX_IMAGE_DIMENSION || 1600),
+  minDimension: 64
+};
+
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+// Identifica o formato real pelos primeiros bytes. Retorna null se não for aceito.
+export function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'image/png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('ascii', 4, 8) === 'ftyp' && HEIF_BRANDS.includes(buffer.toString('ascii', 8, 12))) return 'image/heic';
+
+  return null;
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_LIMITS.maxBytes, files: 1 }
+});
+
+// Erros do multer -> ApiError com código próprio
+function multerToApiError(error) {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    const mb = Math.round(UPLOAD_LIMITS.maxBytes / 1024 / 1024);
+    return new ApiError(413, 'FILE_TOO_LARGE', `A imagem excede o limite de ${mb} MB.`, { maxBytes: UPLOAD_LIMITS.maxBytes });
+  }
+  if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+    return new ApiError(400, 'UNEXPECTED_FIELD', 'Envie apenas uma imagem no campo "foto".');
+  }
+  return new ApiError(400, 'UPLOAD_FAILED', 'Falha ao receber o arquivo.', [error.message]);
+}
+
+// Middleware: recebe o campo `field` e valida o arquivo (tamanho, bytes mágicos).
+// Deixa o original em req.file e o formato detectado em req.imageType.
+export function acceptPhoto(field) {
+  const single = upload.single(field);
+
+  return (req, res, next) => {
+    single(req, res, (error) => {
+      if (error) return next(error instanceof multer.MulterError ? multerToApiError(error) : error);
+
+      if (!req.file) return next(new ApiError(400, 'NO_FILE', 'Nenhuma imagem enviada.'));
+      if (req.file.size === 0) return next(new ApiError(400, 'EMPTY_FILE', 'O arquivo enviado está vazio.'));
+
+      req.imageType = sniffImageType(req.file.buffer);
+      if (!req.imageType) {
+        return next(new ApiError(415, 'UNSUPPORTED_IMAGE_TYPE', 'Formato não suportado. Envie JPEG, PNG, WebP ou HEIC.'));
+      }
+      next();
+    });
+  };
+}
+
+// Middleware: acceptPhoto + pré-processamento, deixa em req.image a versão tratada
+export function receivePhoto(field) {
+  const accept = acceptPhoto(field);
+
+  return (req, res, next) => {
+    accept(req, res, async (error) => {
+      if (error) return next(error);
+      try {
+        req.image = await preprocessImage(req.file.buffer, req.imageType);
+        next();
+      } catch (err) {
+        next(err);
+      }
+    });
+  };
+}
+
+/**
+ * Normaliza a imagem para a IA: JPEG, orientação aplicada, sem EXIF/GPS,
+ * lado maior <= maxDimension. Devolve { buffer, mimeType, width, height, sourceType }.
+ */
+export async function preprocessImage(buffer, type, limits = UPLOAD_LIMITS) {
+  let input = buffer;
+
+  try {
+    // libvips não decodifica HEVC; HEIC passa antes por JPEG
+    if (type === 'image/heic') {
+      input = Buffer.from(await heicConvert({ buffer, format: 'JPEG', quality: 0.92 }));
+    }
+
+    const { data, info } = await sharp(input)
+      .rotate() // aplica a orientação EXIF
+      .resize({
+        width: limits.maxDimension,
+        height: limits.maxDimension,
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .jpeg({ quality: 85 }) // sem withMetadata(): EXIF, GPS e ICC são descartados
+      .toBuffer({ resolveWithObject: true });
+
+    if (info.width < limits.minDimension || info.height < limits.minDimension) {
+      throw new ApiError(422, 'IMAGE_TOO_SMALL', `A imagem precisa ter pelo menos ${limits.minDimension}px de cada lado.`);
+    }
+
+    return { buffer: data, mimeType: 'image/jpeg', width: info.width, height: info.height, sourceType: type };
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(422, 'IMAGE_DECODE_FAILED', 'Não foi possível ler a imagem. O arquivo pode estar corrompido.');
+  } finally {
+    // JPEG intermediário do HEIC não sai daqui (o original fica com forgetUpload)
+    if (input !== buffer) wipe(input);
+  }
+}
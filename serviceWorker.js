@@ -0,0 +1,68 @@
+/**
+ * Service Worker - offline shell, bundle and FaceMesh models
+ *
+ * Built by the plugin in vite.config.js into dist/sw.js, which fills in the
+ * precache list (every bundle file + public/) and the cache version (a hash
+ * of their contents).
+ * /api requests are never cached: AI analyses made offline are queued by the
+ * page instead (see history.js).
+ */
+
+const CACHE = 'face-architect-__CACHE_VERSION__';
+const PRECACHE = __PRECACHE__;
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE)
+            .then(cache => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('face-architect-') && key !== CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The single page every navigation falls back to offline
+const SHELL_PATHS = ['/', '/index.html'];
+
+// Navigations: network first so deploys show up, cached shell when offline.
+// Only a successful load of the shell itself refreshes it: an error page or a
+// deep link must never replace the offline app.
+async function handleNavigation(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && SHELL_PATHS.includes(new URL(request.url).pathname)) {
+            const cache = await caches.open(CACHE);
+            cache.put('/', response.clone());
+        }
+        return response;
+    } catch (e) {
+        return (await caches.match('/')) || Response.error();
+    }
+}
+
+// Everything else (hashed assets, models, fonts): cache first, remember new files
+async function handleAsset(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) return;
+
+    event.respondWith(request.mode === 'navigate' ? handleNavigation(request) : handleAsset(request));
+});
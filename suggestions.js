@@ -0,0 +1,85 @@
+/**
+ * Suggestions - grouping of AI improvement tips by category
+ *
+ * The prompt asks for one tip per category (hair/beard, skincare, posture),
+ * but models don't always keep the order, so tips are matched by keyword
+ * first and by position only as a fallback. Keywords cover Portuguese and
+ * English since the AI answers in the UI language. mergeSuggestions adds the
+ * rule-based recommendations from recommendations.js on top.
+ */
+
+export const CATEGORIES = {
+    grooming: { icon: '💈' },
+    skincare: { icon: '🧴' },
+    posture: { icon: '🧍' },
+    general: { icon: '✨' }
+};
+
+const KEYWORDS = {
+    grooming: ['cabelo', 'barba', 'bigode', 'corte', 'franja', 'penteado', 'topete', 'costeleta', 'sobrancelha',
+        'hair', 'beard', 'mustache', 'moustache', 'haircut', 'fringe', 'bangs', 'sideburn', 'eyebrow', 'trim'],
+    skincare: ['pele', 'skincare', 'hidrat', 'protetor', 'sabonete', 'acne', 'poros', 'oleos', 'niacinamida', 'retinol', 'esfolia', 'olheira',
+        'skin', 'moistur', 'sunscreen', 'cleanser', 'pores', 'oily', 'exfoliat'],
+    posture: ['postura', 'exercício', 'exercicio', 'ombro', 'pescoço', 'pescoco', 'cervical', 'mewing', 'coluna',
+        'posture', 'shoulder', 'neck', 'exercise', 'spine']
+};
+
+// Order the prompt asks for
+const POSITION_FALLBACK = ['grooming', 'skincare', 'posture'];
+
+export function categorizeSuggestion(text, index = -1) {
+    const lower = String(text).toLowerCase();
+    const match = Object.keys(KEYWORDS).find(cat => KEYWORDS[cat].some(k => lower.includes(k)));
+    return match || POSITION_FALLBACK[index] || 'general';
+}
+
+/**
+ * Groups tips into [{ category, icon, items }], in CATEGORIES order,
+ * skipping empty groups. Non-string or blank entries are ignored.
+ */
+export function groupSuggestions(list) {
+    if (!Array.isArray(list)) return [];
+
+    const groups = {};
+    list.forEach((text, i) => {
+        if (typeof text !== 'string' || !text.trim()) return;
+        const cat = categorizeSuggestion(text, i);
+        (groups[cat] = groups[cat] || []).push(text.trim());
+    });
+
+    return Object.keys(CATEGORIES)
+        .filter(cat => groups[cat])
+        .map(cat => ({ category: cat, ...CATEGORIES[cat], items: groups[cat] }));
+}
+
+/**
+ * AI tips and rule recommendations (recommendations.js) in one grouped list:
+ * [{ category, icon, items: [{ text, rationale, source }] }] where
+ * source is 'ai', 'rules' or 'both'. A rule whose keywords already appear in
+ * an AI tip of the same category is folded into that tip (adding its
+ * rationale) instead of being listed twice. AI tips come first in each group.
+ * Rules with a category missing from CATEGORIES are listed under 'general'.
+ */
+export function mergeSuggestions(aiList, recommendations = []) {
+    const groups = {};
+    groupSuggestions(aiList).forEach(g => {
+        groups[g.category] = g.items.map(text => ({ text, rationale: null, source: 'ai' }));
+    });
+
+    recommendations.forEach(rec => {
+        const category = CATEGORIES[rec.category] ? rec.category : 'general';
+        const items = groups[category] = groups[category] || [];
+        const same = items.find(item => item.source !== 'rules' && !item.rationale &&
+            rec.keywords.some(k => item.text.toLowerCase().includes(k.toLowerCase())));
+        if (same) {
+            same.rationale = rec.rationale;
+            same.source = 'both';
+        } else {
+            items.push({ text: rec.text, rationale: rec.rationale, source: 'rules' });
+        }
+    });
+
+    return Object.keys(CATEGORIES)
+        .filter(cat => groups[cat]?.length)
+        .map(cat => ({ category: cat, ...CATEGORIES[cat], items: groups[cat] }));
+}
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rateLimit, clientKey } from '../server/access.js';
+
+// Minimal Express-like req/res for the middleware
+function request(ip, headers = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+    return { ip, get: name => lower[name.toLowerCase()] };
+}
+const response = () => ({ set() {} });
+
+function hit(limiter, req) {
+    let result;
+    limiter(req, response(), error => { result = error; });
+    return result;
+}
+
+test('rate limit: keyed by IP, whatever token the client sends', () => {
+    assert.equal(clientKey(request('10.0.0.1', { 'X-Api-Key': 'a' })), clientKey(request('10.0.0.1', { 'X-Api-Key': 'b' })));
+    assert.equal(clientKey(request('10.0.0.1', { Authorization: 'Bearer c' })), 'ip:10.0.0.1');
+});
+
+test('rate limit: a fresh random token per request does not reset the bucket', () => {
+    const limiter = rateLimit({ windowMs: 60000, max: 2 });
+    assert.equal(hit(limiter, request('10.0.0.2', { 'X-Api-Key': 'one' })), undefined);
+    assert.equal(hit(limiter, request('10.0.0.2', { 'X-Api-Key': 'two' })), undefined);
+    assert.equal(hit(limiter, request('10.0.0.2', { 'X-Api-Key': 'three' })).code, 'RATE_LIMITED');
+});
+
+test('rate limit: clients sharing the public token keep separate buckets', () => {
+    const limiter = rateLimit({ windowMs: 60000, max: 1 });
+    assert.equal(hit(limiter, request('10.0.0.3', { 'X-Api-Key': 'shared' })), undefined);
+    assert.equal(hit(limiter, request('10.0.0.4', { 'X-Api-Key': 'shared' })), undefined);
+});
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeFrame, analyzeFace, analyzeImage, mergeAiAnalysis, getLandmarks, toPixels } from '../analysis.js';
+import { solid, checker, symmetricLandmarks, asymmetricLandmarks } from './fixtures.js';
+
+const SKIN = [200, 160, 140];
+const HAIR = [40, 30, 25];
+const W = 400, H = 300;
+
+// Stand-in for a canvas / OffscreenCanvas holding `pixels`
+function fakeCanvas(pixels) {
+    return {
+        width: pixels.width,
+        height: pixels.height,
+        getContext: () => ({ getImageData: (x, y, w, h) => ({ ...pixels, width: w, height: h }) })
+    };
+}
+
+// Skin on top, hair from row `fromY` down
+function lowerHalfDark(fromY = H / 2) {
+    const img = solid(W, H, SKIN);
+    for (let p = fromY * W; p < W * H; p++) {
+        img.data[p * 4] = HAIR[0]; img.data[p * 4 + 1] = HAIR[1]; img.data[p * 4 + 2] = HAIR[2];
+    }
+    return img;
+}
+
+test('analyzeFrame: plain skin on a symmetric face', () => {
+    const { regions, metrics } = analyzeFrame(solid(W, H, SKIN), symmetricLandmarks());
+    assert.deepEqual(metrics, { symmetry: 100, texture: 0, oiliness: 0, beardDensity: 0 });
+    assert.ok(Object.values(regions).every(r => r.pixels));
+});
+
+test('analyzeFrame: a crooked jaw lowers the symmetry score', () => {
+    const { metrics } = analyzeFrame(solid(W, H, SKIN), asymmetricLandmarks());
+    assert.equal(metrics.symmetry, 41);
+});
+
+test('analyzeFrame: pixel metrics read the masked regions', () => {
+    const lm = symmetricLandmarks();
+    assert.equal(analyzeFrame(checker(W, H, 100, 140), lm).metrics.texture, 100);
+    assert.equal(analyzeFrame(solid(W, H, [250, 248, 245]), lm).metrics.oiliness, 100);
+    assert.equal(analyzeFrame(lowerHalfDark(), lm).metrics.beardDensity, 19);
+});
+
+test('analyzeFrame: beard is measured against the cheeks, not absolute darkness', () => {
+    assert.equal(analyzeFrame(solid(W, H, HAIR), symmetricLandmarks()).metrics.beardDensity, 0);
+});
+
+test('analyzeFrame: thresholds come from the options', () => {
+    const shiny = solid(W, H, [215, 210, 205]);
+    const lm = symmetricLandmarks();
+    assert.equal(analyzeFrame(shiny, lm).metrics.oiliness, 100);
+    assert.equal(analyzeFrame(shiny, lm, { thresholds: { oiliness: 230, beardDarkness: 100 } }).metrics.oiliness, 0);
+});
+
+test('analyzeFace: single still builds the report model', () => {
+    const frame = solid(W, H, SKIN);
+    const { frame: shown, box, face, state } = analyzeFace([{ frame, landmarks: symmetricLandmarks() }]);
+
+    assert.equal(shown, frame);
+    assert.deepEqual(box, { x: 130, y: 60, width: 140, height: 180 });
+    assert.equal(face.keypoints.length, 478);
+    assert.deepEqual(face.keypoints[10], { x: 200, y: 60, z: 0 });
+    assert.deepEqual(face.regionScores, {
+        oiliness: { forehead: 0, tZone: 0 },
+        texture: { leftCheek: 0, rightCheek: 0, leftUnderEye: 0, rightUnderEye: 0 },
+        beard: { chin: 0, jawline: 0 }
+    });
+
+    assert.equal(state.symmetry, 100);
+    assert.equal(state.texture, 0);
+    assert.deepEqual(state.frames, { kept: 1, dropped: 0 });
+    assert.deepEqual(state.spread.symmetry, { mean: 100, std: 0, confidence: null, samples: 1 });
+    assert.equal(state.geometry.asymmetry.overall, 0);
+    assert.equal(state.faceShape.shape, 'diamond');
+});
+
+test('analyzeFace: a burst drops the outlier frame and averages the rest', () => {
+    const frame = solid(W, H, SKIN);
+    const lm = symmetricLandmarks();
+    const samples = [
+        { frame, landmarks: lm, metrics: { symmetry: 80, texture: 20, oiliness: 10, beardDensity: 0 } },
+        { frame, landmarks: lm, metrics: { symmetry: 90, texture: 30, oiliness: 20, beardDensity: 0 } },
+        { frame, landmarks: lm, metrics: { symmetry: 85, texture: 25, oiliness: 30, beardDensity: 0 } },
+        // Head moved 60 px mid-burst
+        { frame, landmarks: symmetricLandmarks(260, 150), metrics: { symmetry: 0, texture: 100, oiliness: 100, beardDensity: 100 } }
+    ];
+    const { box, state } = analyzeFace(samples);
+
+    assert.deepEqual(state.frames, { kept: 3, dropped: 1 });
+    assert.equal(state.symmetry, 85);
+    assert.equal(state.beardDensity, 0);
+    assert.deepEqual(state.spread.oiliness, { mean: 20, std: 8.2, confidence: 59, samples: 3 });
+    assert.deepEqual(state.spread.beardDensity, { mean: 0, std: 0, confidence: 100, samples: 3 });
+    assert.deepEqual(box, { x: 130, y: 60, width: 140, height: 180 });
+});
+
+test('analyzeFace: needs at least one sample', () => {
+    assert.throws(() => analyzeFace([]), /at least one sample/);
+    assert.throws(() => analyzeFace(null), /at least one sample/);
+});
+
+test('analyzeImage: one analysis per face, detector output or bare landmarks', () => {
+    const frame = solid(W, H, SKIN);
+    const lm = symmetricLandmarks();
+    const keypoints = { keypoints: lm.map(([x, y, z]) => ({ x, y, z })) };
+
+    const [fromKeypoints, fromList, crooked] = analyzeImage(frame, [keypoints, lm, asymmetricLandmarks()]);
+    assert.deepEqual(fromKeypoints.state, fromList.state);
+    assert.equal(crooked.state.symmetry, 41);
+    assert.deepEqual(analyzeImage(frame, [{}, null]), []);
+});
+
+test('canvas input: read with getImageData, same scores as the pixels', () => {
+    const pixels = checker(W, H, 100, 140);
+    const lm = symmetricLandmarks();
+    assert.deepEqual(analyzeFrame(fakeCanvas(pixels), lm).metrics, analyzeFrame(pixels, lm).metrics);
+
+    const [fromCanvas] = analyzeImage(fakeCanvas(pixels), [lm]);
+    const [fromPixels] = analyzeImage(pixels, [lm]);
+    assert.deepEqual(fromCanvas.state, fromPixels.state);
+    assert.equal(fromCanvas.frame.width, W);
+});
+
+test('toPixels: ImageData-like frames pass through, other sources are rejected', () => {
+    const pixels = solid(2, 2, SKIN);
+    assert.equal(toPixels(pixels), pixels);
+    // A video or ImageBitmap has to be drawn on a canvas first
+    assert.throws(() => toPixels({ width: 2, height: 2 }), TypeError);
+    assert.throws(() => analyzeFrame(null, symmetricLandmarks()), TypeError);
+});
+
+test('getLandmarks: current, legacy, stored and bare formats', () => {
+    const lm = [[1, 2, 3]];
+    assert.deepEqual(getLandmarks({ keypoints: [{ x: 1, y: 2, z: 3 }] }), lm);
+    assert.deepEqual(getLandmarks({ keypoints: [{ x: 1, y: 2 }] }), [[1, 2, 0]]);
+    assert.equal(getLandmarks({ scaledMesh: lm }), lm);
+    assert.equal(getLandmarks({ landmarks: lm }), lm);
+    assert.equal(getLandmarks(lm), lm);
+    assert.equal(getLandmarks({}), null);
+    assert.equal(getLandmarks(null), null);
+});
+
+test('mergeAiAnalysis: blends the AI symmetry and maps 0-10 scores to 0-100', () => {
+    const ai = { formato_rosto: 'oval', simetria: { nota: 7.3 }, qualidade_pele: { nota: 6 } };
+    const state = mergeAiAnalysis(ai, { symmetry: 90 });
+    assert.equal(state.symmetry, 82);
+    assert.deepEqual(state.aiScores, { symmetry: 73, skinQuality: 60 });
+    assert.equal(state.aiFaceShape, 'oval');
+    assert.equal(state.ai, ai);
+});
+
+test('mergeAiAnalysis: without an AI result the local scores stay', () => {
+    assert.deepEqual(mergeAiAnalysis(null, { symmetry: 90 }),
+        { symmetry: 90, ai: null, aiFaceShape: null, aiScores: null });
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createAnalysisCache, cacheKey } from '../server/cache.js';
+
+test('cache: same image and parts give the same key, any change a new one', () => {
+    const image = Buffer.from('pixels');
+    assert.equal(cacheKey(image, 'gemini', 'pt'), cacheKey(Buffer.from('pixels'), 'gemini', 'pt'));
+    assert.notEqual(cacheKey(image, 'gemini', 'pt'), cacheKey(image, 'gemini', 'en'));
+});
+
+test('cache: size 0 keeps nothing (zero retention)', async () => {
+    const cache = createAnalysisCache({ maxEntries: 0, ttlMs: 3600000 });
+    await cache.set('k', { ok: true });
+    assert.equal(cache.enabled, false);
+    assert.equal(await cache.get('k'), null);
+});
+
+test('cache: entries expire after the TTL', async () => {
+    const cache = createAnalysisCache({ maxEntries: 10, ttlMs: 20 });
+    await cache.set('k', { ok: true });
+    assert.deepEqual(await cache.get('k'), { ok: true });
+    await sleep(40);
+    assert.equal(await cache.get('k'), null);
+});
+
+test('cache: least recently used entry is evicted first', async () => {
+    const cache = createAnalysisCache({ maxEntries: 2, ttlMs: 3600000 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+    assert.equal(await cache.get('b'), null);
+    assert.equal(await cache.get('a'), 1);
+    assert.equal(await cache.get('c'), 3);
+});
@@ -0,0 +1,65 @@
+/**
+ * Test fixtures - synthetic pixels and landmarks
+ *
+ * Plain { data, width, height } objects (same shape as ImageData) and
+ * [x, y, z] FaceMesh lists, all deterministic so scores can be asserted
+ * exactly.
+ */
+
+import { FEATURE_PAIRS } from '../geometry.js';
+
+// One colour everywhere
+export function solid(width, height, [r, g, b], alpha = 255) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = r; data[i + 1] = g; data[i + 2] = b; data[i + 3] = alpha;
+    }
+    return { data, width, height };
+}
+
+// Checkerboard of two grey levels (maximum high-frequency energy for the contrast)
+export function checker(width, height, low, high) {
+    const img = solid(width, height, [low, low, low]);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if ((x + y) % 2 === 0) continue;
+            const i = (y * width + x) * 4;
+            img.data[i] = img.data[i + 1] = img.data[i + 2] = high;
+        }
+    }
+    return img;
+}
+
+// Paints `color` over the first `share` (0-1) of the pixels
+export function withPatch(img, share, [r, g, b]) {
+    const count = Math.round(img.width * img.height * share);
+    for (let p = 0; p < count; p++) {
+        img.data[p * 4] = r; img.data[p * 4 + 1] = g; img.data[p * 4 + 2] = b;
+    }
+    return img;
+}
+
+// Central landmarks of the mesh (same list as geometry.js)
+const MIDLINE = [10, 151, 9, 8, 168, 6, 197, 195, 5, 4, 1, 2, 164, 0, 17, 18, 200, 199, 175, 152];
+
+/**
+ * A 478-point mesh centred on (cx, cy), about 140x180 px, frontal and
+ * mirror-symmetric: every FEATURE_PAIRS pair is an exact reflection across
+ * the midline. The other points are scattered deterministically inside the
+ * face so the region polygons cover real pixels.
+ */
+export function symmetricLandmarks(cx = 200, cy = 150) {
+    const lm = Array.from({ length: 478 }, (_, i) => [Math.sin(i) * 50, Math.cos(i * 1.3) * 80, Math.sin(i * 0.7) * 20]);
+    MIDLINE.forEach(i => { lm[i][0] = 0; });
+    lm[10] = [0, -90, 0]; lm[152] = [0, 90, 0];
+    lm[234] = [-70, 0, 10]; lm[33] = [-45, -20, 0]; lm[133] = [-15, -18, -3]; lm[172] = [-55, 60, 10];
+    Object.values(FEATURE_PAIRS).flat().forEach(([l, r]) => { lm[r] = [-lm[l][0], lm[l][1], lm[l][2]]; });
+    return lm.map(([x, y, z]) => [x + cx, y + cy, z]);
+}
+
+// Same mesh with the image-right jaw pulled down and out
+export function asymmetricLandmarks(cx = 200, cy = 150) {
+    const lm = symmetricLandmarks(cx, cy);
+    [397, 288, 361, 323, 454].forEach(i => { lm[i] = [lm[i][0] + 12, lm[i][1] + 10, lm[i][2]]; });
+    return lm;
+}
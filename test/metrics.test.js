@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateTextureMetric, calculateOilinessMetric, calculateBeardMetric } from '../metrics.js';
+import { solid, checker, withPatch } from './fixtures.js';
+
+const SKIN = [200, 160, 140];
+const HAIR = [40, 30, 25];
+
+test('texture: flat skin scores 0', () => {
+    assert.equal(calculateTextureMetric(solid(20, 20, SKIN)), 0);
+});
+
+test('texture: fine noise scores in between, strong noise saturates', () => {
+    assert.equal(calculateTextureMetric(checker(20, 20, 120, 121)), 28);
+    assert.equal(calculateTextureMetric(checker(20, 20, 100, 140)), 100);
+});
+
+test('texture: same relative noise scores the same in any light', () => {
+    const dim = calculateTextureMetric(checker(20, 20, 60, 61));
+    const bright = calculateTextureMetric(checker(20, 20, 120, 122));
+    assert.equal(dim, bright);
+});
+
+test('texture: masked-out and tiny regions score 0', () => {
+    assert.equal(calculateTextureMetric(solid(20, 20, SKIN, 0)), 0);
+    assert.equal(calculateTextureMetric(solid(2, 2, SKIN)), 0);
+    assert.equal(calculateTextureMetric(null), 0);
+});
+
+test('oiliness: matte skin scores 0', () => {
+    assert.equal(calculateOilinessMetric(solid(20, 20, SKIN)), 0);
+});
+
+test('oiliness: specular highlights raise the score', () => {
+    // 10% highlights = half of the 20% that tops the scale
+    assert.equal(calculateOilinessMetric(withPatch(solid(20, 20, SKIN), 0.1, [250, 248, 245])), 50);
+    assert.equal(calculateOilinessMetric(solid(20, 20, [250, 248, 245])), 100);
+});
+
+test('oiliness: bright but saturated colour is not shine', () => {
+    assert.equal(calculateOilinessMetric(solid(20, 20, [255, 230, 60])), 0);
+});
+
+test('oiliness: threshold comes from the options', () => {
+    const img = solid(20, 20, [215, 210, 205]);
+    assert.equal(calculateOilinessMetric(img), 100);
+    assert.equal(calculateOilinessMetric(img, { oiliness: 230, beardDarkness: 100 }), 0);
+});
+
+test('beard: dark chin against a skin cheek scores 100', () => {
+    assert.equal(calculateBeardMetric(solid(20, 20, HAIR), solid(20, 20, SKIN)), 100);
+});
+
+test('beard: bare chin scores 0', () => {
+    assert.equal(calculateBeardMetric(solid(20, 20, SKIN), solid(20, 20, SKIN)), 0);
+});
+
+test('beard: partial coverage is proportional', () => {
+    const chin = withPatch(solid(20, 20, SKIN), 0.25, HAIR);
+    assert.equal(calculateBeardMetric(chin, solid(20, 20, SKIN)), 25);
+});
+
+test('beard: dark skin is not read as a beard', () => {
+    const darkSkin = [90, 65, 50];
+    assert.equal(calculateBeardMetric(solid(20, 20, darkSkin), solid(20, 20, darkSkin)), 0);
+    assert.equal(calculateBeardMetric(solid(20, 20, [25, 18, 15]), solid(20, 20, darkSkin)), 100);
+});
+
+test('beard: without a cheek the fixed threshold is used', () => {
+    assert.equal(calculateBeardMetric(solid(20, 20, HAIR), null), 100);
+    assert.equal(calculateBeardMetric(solid(20, 20, SKIN), null), 0);
+});
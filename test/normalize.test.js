@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { coerceScore, validateAnalysis, parseAnalysis } from '../server/normalize.js';
+
+const VALID = {
+    simetria: { nota: 8, analise: 'Rosto equilibrado.' },
+    qualidade_pele: { nota: '7,5', analise: 'Pele uniforme.' },
+    formato_rosto: 'Oval',
+    pontos_fortes: ['Olhos', ' Sorriso '],
+    sugestoes_melhoria: 'Use protetor solar.'
+};
+
+test('coerceScore: numbers, fractions, decimals with comma and percentages', () => {
+    assert.equal(coerceScore(8), 8);
+    assert.equal(coerceScore(' 8 '), 8);
+    assert.equal(coerceScore('8,5'), 8.5);
+    assert.equal(coerceScore('7.25'), 7.3);
+    assert.equal(coerceScore('8/10'), 8);
+    assert.equal(coerceScore('4 / 5'), 8);
+    assert.equal(coerceScore('85%'), 8.5);
+    assert.equal(coerceScore(85), 8.5);
+});
+
+test('coerceScore: anything but a bare score is NaN', () => {
+    ['0 a 10', '7 de 10, mas pode melhorar', '8/10 bom', 'oito', '', '8/0', '-3', '150', '9..5']
+        .forEach(text => assert.ok(Number.isNaN(coerceScore(text)), text));
+    assert.ok(Number.isNaN(coerceScore(null)));
+    assert.ok(Number.isNaN(coerceScore({ nota: 8 })));
+    assert.ok(Number.isNaN(coerceScore(-1)));
+});
+
+test('validateAnalysis: keeps only schema fields, trimmed and coerced', () => {
+    const { value, issues } = validateAnalysis({ ...VALID, extra: 'x' });
+    assert.deepEqual(issues, []);
+    assert.deepEqual(value, {
+        simetria: { nota: 8, analise: 'Rosto equilibrado.' },
+        qualidade_pele: { nota: 7.5, analise: 'Pele uniforme.' },
+        formato_rosto: 'Oval',
+        pontos_fortes: ['Olhos', 'Sorriso'],
+        sugestoes_melhoria: ['Use protetor solar.']
+    });
+});
+
+test('validateAnalysis: lists every problem', () => {
+    const { issues } = validateAnalysis({
+        simetria: { nota: '0 a 10', analise: ' ' },
+        formato_rosto: '',
+        pontos_fortes: [],
+        sugestoes_melhoria: 3
+    });
+    assert.deepEqual(issues, [
+        '"simetria.nota" deve ser um número de 0 a 10.',
+        '"simetria.analise" deve ser um texto não vazio.',
+        '"qualidade_pele" deve ser um objeto com "nota" e "analise".',
+        '"formato_rosto" deve ser um texto não vazio.',
+        '"pontos_fortes" deve ter pelo menos um item.',
+        '"sugestoes_melhoria" deve ser uma lista de textos.'
+    ]);
+    assert.deepEqual(validateAnalysis([]).issues, ['A resposta deve ser um objeto JSON.']);
+});
+
+test('parseAnalysis: finds the JSON inside markdown and prose', () => {
+    const text = `Claro! Segue:\n\`\`\`json\n${JSON.stringify(VALID)}\n\`\`\``;
+    assert.equal(parseAnalysis(text).qualidade_pele.nota, 7.5);
+});
+
+test('parseAnalysis: AI_NO_JSON when there is no object at all', () => {
+    assert.throws(() => parseAnalysis('Não consigo analisar esta imagem.'), error => {
+        assert.equal(error.code, 'AI_NO_JSON');
+        assert.equal(error.status, 502);
+        return true;
+    });
+    assert.throws(() => parseAnalysis(undefined), { code: 'AI_NO_JSON' });
+});
+
+test('parseAnalysis: AI_INVALID_JSON on malformed JSON', () => {
+    assert.throws(() => parseAnalysis('{ "simetria": { nota: 8, } }'), error => {
+        assert.equal(error.code, 'AI_INVALID_JSON');
+        assert.equal(error.details.length, 1);
+        return true;
+    });
+});
+
+test('parseAnalysis: AI_SCHEMA_MISMATCH carries the issues, template scores included', () => {
+    const echoed = { ...VALID, simetria: { nota: '0 a 10', analise: 'Rosto equilibrado.' } };
+    assert.throws(() => parseAnalysis(JSON.stringify(echoed)), error => {
+        assert.equal(error.code, 'AI_SCHEMA_MISMATCH');
+        assert.deepEqual(error.details, ['"simetria.nota" deve ser um número de 0 a 10.']);
+        return true;
+    });
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveProviderName, analyzeImage } from '../server/providers/index.js';
+
+test('provider: explicit AI_PROVIDER wins', () => {
+    assert.equal(resolveProviderName({ AI_PROVIDER: ' Mock ', GEMINI_API_KEY: 'x' }), 'mock');
+});
+
+test('provider: first configured key is used', () => {
+    assert.equal(resolveProviderName({ GEMINI_API_KEY: 'x', OPENAI_API_KEY: 'y' }), 'gemini');
+    assert.equal(resolveProviderName({ OPENAI_API_KEY: 'y' }), 'openai');
+});
+
+test('provider: no key and no AI_PROVIDER is a configuration error, never the mock', () => {
+    assert.throws(() => resolveProviderName({}), /Nenhum provedor de IA configurado/);
+});
+
+test('provider: upstream failures reach the client without the SDK message', async t => {
+    const logged = t.mock.method(console, 'error', () => {});
+    const provider = {
+        name: 'fake',
+        analyze: async () => { throw new Error('401 Incorrect API key provided: sk-abc***'); }
+    };
+
+    await assert.rejects(analyzeImage(provider, { buffer: Buffer.alloc(1), mimeType: 'image/jpeg' }), error => {
+        assert.equal(error.code, 'AI_PROVIDER_ERROR');
+        assert.equal(error.status, 502);
+        assert.equal(error.details, undefined);
+        assert.doesNotMatch(JSON.stringify(error), /sk-abc/);
+        return true;
+    });
+    assert.match(logged.mock.calls[0].arguments.join(' '), /sk-abc/);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesRule, recommend } from '../recommendations.js';
+import { mergeSuggestions } from '../suggestions.js';
+
+const rule = (id, fields = {}) => ({
+    id,
+    category: 'skincare',
+    priority: 1,
+    when: [],
+    keywords: [],
+    text: { pt: `${id} pt`, en: `${id} en` },
+    rationale: { pt: `${id} motivo`, en: `${id} reason` },
+    ...fields
+});
+
+test('matchesRule: a missing or null fact fails the condition', () => {
+    const r = rule('r', { when: [['oiliness', '<', 50]] });
+    assert.equal(matchesRule(r, {}), false);
+    assert.equal(matchesRule(r, { oiliness: null }), false);
+    assert.equal(matchesRule(r, { oiliness: 0 }), true);
+});
+
+test('matchesRule: between is inclusive on both ends', () => {
+    const r = rule('r', { when: [['fwhr', 'between', [1.8, 2.0]]] });
+    assert.equal(matchesRule(r, { fwhr: 1.8 }), true);
+    assert.equal(matchesRule(r, { fwhr: 2.0 }), true);
+    assert.equal(matchesRule(r, { fwhr: 1.79 }), false);
+    assert.equal(matchesRule(r, { fwhr: 2.01 }), false);
+});
+
+test('matchesRule: in checks list membership', () => {
+    const r = rule('r', { when: [['shape', 'in', ['round', 'square']]] });
+    assert.equal(matchesRule(r, { shape: 'square' }), true);
+    assert.equal(matchesRule(r, { shape: 'oval' }), false);
+});
+
+test('matchesRule: all conditions must hold, empty `when` always matches', () => {
+    const r = rule('r', { when: [['texture', '>=', 40], ['oiliness', '>', 60]] });
+    assert.equal(matchesRule(r, { texture: 40, oiliness: 61 }), true);
+    assert.equal(matchesRule(r, { texture: 40, oiliness: 60 }), false);
+    assert.equal(matchesRule(rule('always'), {}), true);
+});
+
+test('matchesRule: an unknown operator throws', () => {
+    const r = rule('bad', { when: [['texture', '~', 1]] });
+    assert.throws(() => matchesRule(r, { texture: 1 }), /Unknown operator "~" in rule bad/);
+});
+
+test('recommend: keeps the highest priority rule of each slot, id breaks ties', () => {
+    const rules = [
+        rule('cut-b', { category: 'grooming', slot: 'haircut', priority: 2 }),
+        rule('cut-a', { category: 'grooming', slot: 'haircut', priority: 2 }),
+        rule('cut-low', { category: 'grooming', slot: 'haircut', priority: 1 }),
+        rule('cut-high', { category: 'grooming', slot: 'haircut', priority: 3, when: [['shape', 'in', ['round']]] }),
+        rule('spf')
+    ];
+    assert.deepEqual(recommend({ shape: 'oval' }, { rules }).map(r => r.id), ['cut-a', 'spf']);
+    assert.deepEqual(recommend({ shape: 'round' }, { rules }).map(r => r.id), ['cut-high', 'spf']);
+});
+
+test('recommend: same slot name in another category is a separate slot', () => {
+    const rules = [
+        rule('a', { category: 'grooming', slot: 'main' }),
+        rule('b', { category: 'skincare', slot: 'main' })
+    ];
+    assert.deepEqual(recommend({}, { rules }).map(r => r.id), ['a', 'b']);
+});
+
+test('recommend: sorted by category, then priority, then id; unknown categories last', () => {
+    const rules = [
+        rule('z-extra', { category: 'extra', priority: 9 }),
+        rule('s-low', { priority: 1 }),
+        rule('s-high', { priority: 5 }),
+        rule('p', { category: 'posture', priority: 9 }),
+        rule('g', { category: 'grooming', priority: 0 }),
+        rule('s-b', { priority: 1 })
+    ];
+    assert.deepEqual(recommend({}, { rules }).map(r => r.id), ['g', 's-high', 's-b', 's-low', 'p', 'z-extra']);
+});
+
+test('recommend: fills {fact} placeholders per locale and leaves unknown ones', () => {
+    const rules = [rule('oil', {
+        text: { pt: 'Oleosidade em {oiliness}%', en: 'Oiliness at {oiliness}%' },
+        rationale: { pt: 'Zona T {tZoneOil} / {missing}' }
+    })];
+    const [pt] = recommend({ oiliness: 72, tZoneOil: 80.5 }, { rules });
+    assert.equal(pt.text, 'Oleosidade em 72%');
+    assert.equal(pt.rationale, 'Zona T 80.5 / {missing}');
+
+    const [en] = recommend({ oiliness: 72, tZoneOil: 80.5 }, { rules, locale: 'en' });
+    assert.equal(en.text, 'Oiliness at 72%');
+    // Falls back to pt when the locale is missing
+    assert.equal(en.rationale, 'Zona T 80.5 / {missing}');
+});
+
+test('mergeSuggestions: a rule already covered by an AI tip is folded into it', () => {
+    const [rec] = recommend({}, { rules: [rule('spf', { keywords: ['protetor solar'] })] });
+    const groups = mergeSuggestions(['Use protetor solar todos os dias.'], [rec]);
+    assert.deepEqual(groups.map(g => g.category), ['skincare']);
+    assert.deepEqual(groups[0].items, [
+        { text: 'Use protetor solar todos os dias.', rationale: 'spf motivo', source: 'both' }
+    ]);
+});
+
+test('mergeSuggestions: new rules are listed after the AI tips of their group', () => {
+    const recs = recommend({}, { rules: [
+        rule('retinol', { keywords: ['retinol'] }),
+        rule('chin-tuck', { category: 'posture', keywords: ['queixo'] })
+    ] });
+    const groups = mergeSuggestions(['Hidrate a pele à noite.'], recs);
+    assert.deepEqual(groups.map(g => g.category), ['skincare', 'posture']);
+    assert.deepEqual(groups[0].items.map(i => i.source), ['ai', 'rules']);
+    assert.equal(groups[0].items[1].text, 'retinol pt');
+    assert.deepEqual(groups[1].items, [{ text: 'chin-tuck pt', rationale: 'chin-tuck motivo', source: 'rules' }]);
+});
+
+test('mergeSuggestions: rules with an unknown category show up under general', () => {
+    const recs = recommend({}, { rules: [rule('sleep', { category: 'lifestyle' })] });
+    const groups = mergeSuggestions([], recs);
+    assert.deepEqual(groups.map(g => g.category), ['general']);
+    assert.equal(groups[0].items[0].text, 'sleep pt');
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const serverPath = fileURLToPath(new URL('../server.js', import.meta.url));
+
+// Runs server.js with the mock provider and resolves with its base URL once it listens
+function startServer(t, env = {}) {
+    const port = 40000 + Math.floor(Math.random() * 10000);
+    const child = spawn(process.execPath, [serverPath], {
+        env: { ...process.env, AI_PROVIDER: 'mock', SERVE_STATIC: 'false', CORS_ORIGINS: '', PORT: String(port), ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    t.after(() => child.kill());
+
+    return new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 10000);
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('Servidor rodando')) {
+                clearTimeout(timer);
+                resolve(`http://127.0.0.1:${port}`);
+            }
+        });
+        child.stderr.on('data', chunk => { output += chunk; });
+        child.on('exit', code => { clearTimeout(timer); reject(new Error(`server exited (${code}):\n${output}`)); });
+    });
+}
+
+test('rate limit: the JSON and stream routes share one count per client', async t => {
+    const base = await startServer(t, { RATE_LIMIT_MAX: '3' });
+    // No photo attached: each call is counted, then rejected as NO_FILE
+    const post = route => fetch(`${base}${route}`, { method: 'POST' });
+
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await post('/api/analisar-rosto')).status, 400);
+    }
+    const res = await post('/api/analisar-rosto/stream');
+    assert.equal(res.status, 429);
+    assert.equal((await res.json()).code, 'RATE_LIMITED');
+});
+
+test('cors: static assets load for any Origin, the API still checks it', async t => {
+    const dist = mkdtempSync(path.join(tmpdir(), 'dist-'));
+    t.after(() => rmSync(dist, { recursive: true, force: true }));
+    mkdirSync(path.join(dist, 'assets'));
+    writeFileSync(path.join(dist, 'index.html'), '<!doctype html>');
+    writeFileSync(path.join(dist, 'assets', 'index.js'), 'export {};');
+
+    const base = await startServer(t, { SERVE_STATIC: 'true', STATIC_DIR: dist });
+    // What a module script behind an HTTPS proxy sends without TRUST_PROXY
+    const headers = { Origin: 'https://app.example.com' };
+
+    assert.equal((await fetch(`${base}/assets/index.js`, { headers })).status, 200);
+    assert.equal((await fetch(`${base}/`, { headers })).status, 200);
+
+    const res = await fetch(`${base}/api/analisar-rosto`, { method: 'POST', headers });
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).code, 'ORIGIN_NOT_ALLOWED');
+});
@@ -0,0 +1,251 @@
+/**
+ * Virtual Try-On - beard, moustache and glasses templates on FaceMesh
+ *
+ * Beard and moustache templates are outlines whose vertices are tied to
+ * landmarks (jawline, lower lip, upper lip, nose base), each with an offset in
+ * face units along the face axes, so the shape bends with the user's own jaw
+ * and mouth. Glasses are drawn in an eye-aligned frame (eye corners give the
+ * position, roll and scale). "left" = image left (landmark 234 side).
+ */
+
+import { toKeypoints, CONTOURS } from './overlay.js';
+
+// Vertex = [landmark, across, down]; offsets are fractions of the face width
+const LOWER_LIP_LINE = [[43], [106], [182], [83], [18], [313], [406], [335], [273]];
+const UPPER_LIP = [61, 185, 40, 39, 37, 0, 267, 269, 270, 409, 291];
+
+const BEARDS = {
+    full: [
+        [234, -0.01, 0], [93, -0.015, 0], [132, -0.015, 0.005], [58, -0.01, 0.01], [172, -0.01, 0.015],
+        [136, -0.005, 0.02], [150, 0, 0.025], [149, 0, 0.03], [176, 0, 0.035], [148, 0, 0.04], [152, 0, 0.045],
+        [377, 0, 0.04], [400, 0, 0.035], [378, 0, 0.03], [379, 0, 0.025], [365, 0.005, 0.02],
+        [397, 0.01, 0.015], [288, 0.01, 0.01], [361, 0.015, 0.005], [323, 0.015, 0], [454, 0.01, 0],
+        [352, 0, 0.02], [411, 0, 0.03], [427], [436], ...[...LOWER_LIP_LINE].reverse(),
+        [216], [207], [187, 0, 0.03], [123, 0, 0.02]
+    ],
+    boxed: [
+        [93, -0.01, 0.04], [132, -0.01, 0.01], [58, -0.005, 0.01], [172, -0.005, 0.01], [136, 0, 0.015],
+        [150, 0, 0.015], [149, 0, 0.02], [176, 0, 0.02], [148, 0, 0.025], [152, 0, 0.03],
+        [377, 0, 0.025], [400, 0, 0.02], [378, 0, 0.02], [379, 0, 0.015], [365, 0, 0.015],
+        [397, 0.005, 0.01], [288, 0.005, 0.01], [361, 0.01, 0.01], [323, 0.01, 0.04],
+        [411, 0, 0.07], [436, 0, 0.02], ...[...LOWER_LIP_LINE].reverse(), [216, 0, 0.02], [187, 0, 0.07]
+    ],
+    goatee: [
+        ...LOWER_LIP_LINE, [422, 0, 0.01], [400, 0, 0.01], [377, 0, 0.015], [152, 0, 0.025],
+        [148, 0, 0.015], [176, 0, 0.01], [202, 0, 0.01]
+    ]
+};
+
+const MOUSTACHES = {
+    chevron: [
+        [61, -0.01, -0.005], ...UPPER_LIP.slice(1, -1).map(i => [i, 0, -0.004]), [291, 0.01, -0.005],
+        [327, 0.005, 0.015], [2, 0, 0.012], [98, -0.005, 0.015]
+    ],
+    pencil: [
+        [61, -0.005, -0.006], ...UPPER_LIP.slice(1, -1).map(i => [i, 0, -0.005]), [291, 0.005, -0.006],
+        ...UPPER_LIP.slice(1, -1).reverse().map(i => [i, 0, -0.02])
+    ],
+    handlebar: [
+        [61, -0.07, -0.05], [61, -0.055, -0.02], [61, -0.02, -0.004],
+        ...UPPER_LIP.slice(1, -1).map(i => [i, 0, -0.004]),
+        [291, 0.02, -0.004], [291, 0.055, -0.02], [291, 0.07, -0.05],
+        [291, 0.062, -0.055], [291, 0.045, -0.03], [291, 0.01, -0.02],
+        [327, 0, 0.012], [2, 0, 0.01], [98, 0, 0.012],
+        [61, -0.01, -0.02], [61, -0.045, -0.03], [61, -0.062, -0.055]
+    ]
+};
+
+// Lens shapes in eye-distance units around each eye centre
+const GLASSES = {
+    round: { frame: '#c9a227', lens: 'rgba(200, 220, 255, 0.12)', width: 0.66, height: 0.62, radius: 0.31 },
+    rectangular: { frame: '#111111', lens: 'rgba(200, 220, 255, 0.12)', width: 0.8, height: 0.48, radius: 0.1 },
+    aviator: { frame: '#b8b8b8', lens: 'rgba(40, 70, 50, 0.45)', width: 0.82, height: 0.62, teardrop: true }
+};
+
+export const TRY_ON_STYLES = {
+    beard: Object.keys(BEARDS),
+    moustache: Object.keys(MOUSTACHES),
+    glasses: Object.keys(GLASSES)
+};
+
+export const DEFAULT_TRY_ON = { beard: 'none', moustache: 'none', glasses: 'none', opacity: 0.85 };
+
+// Face axes from the keypoints: `across` 234 -> 454, `down` forehead -> chin
+function faceAxes(kp) {
+    const width = Math.hypot(kp[454].x - kp[234].x, kp[454].y - kp[234].y) || 1;
+    const across = [(kp[454].x - kp[234].x) / width, (kp[454].y - kp[234].y) / width];
+    let down = [-across[1], across[0]];
+    if ((kp[152].x - kp[10].x) * down[0] + (kp[152].y - kp[10].y) * down[1] < 0) down = [-down[0], -down[1]];
+    return { width, across, down };
+}
+
+function templatePoints(kp, template) {
+    const { width, across, down } = faceAxes(kp);
+    return template.map(([i, dx = 0, dy = 0]) => [
+        kp[i].x + (across[0] * dx + down[0] * dy) * width,
+        kp[i].y + (across[1] * dx + down[1] * dy) * width
+    ]);
+}
+
+// Closed curve through the midpoints, so landmark corners don't show
+function smoothPath(ctx, points) {
+    const n = points.length;
+    const mid = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    ctx.beginPath();
+    const start = mid(points[n - 1], points[0]);
+    ctx.moveTo(start[0], start[1]);
+    points.forEach((p, i) => {
+        const m = mid(p, points[(i + 1) % n]);
+        ctx.quadraticCurveTo(p[0], p[1], m[0], m[1]);
+    });
+    ctx.closePath();
+}
+
+// Small deterministic PRNG so the hair texture looks the same on every redraw
+function seeded(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const patterns = new Map();
+function hairPattern(ctx, [r, g, b]) {
+    const key = `${r},${g},${b}`;
+    if (!patterns.has(key)) {
+        const tile = document.createElement('canvas');
+        tile.width = tile.height = 64;
+        const c = tile.getContext('2d');
+        c.fillStyle = `rgba(${r}, ${g}, ${b}, 0.6)`;
+        c.fillRect(0, 0, 64, 64);
+        const rand = seeded(7);
+        c.lineWidth = 1;
+        for (let i = 0; i < 220; i++) {
+            const shade = 0.6 + rand() * 0.8;
+            c.strokeStyle = `rgba(${Math.round(r * shade)}, ${Math.round(g * shade)}, ${Math.round(b * shade)}, ${0.4 + rand() * 0.6})`;
+            const x = rand() * 64, y = rand() * 64;
+            const angle = Math.PI / 2 + (rand() - 0.5) * 0.9;
+            const len = 3 + rand() * 5;
+            c.beginPath();
+            c.moveTo(x, y);
+            c.lineTo(x + Math.cos(angle) * len, y + Math.sin(angle) * len);
+            c.stroke();
+        }
+        patterns.set(key, tile);
+    }
+    return ctx.createPattern(patterns.get(key), 'repeat');
+}
+
+/**
+ * Hair colour guess from the eyebrows (a few pixels around each brow
+ * landmark), slightly darkened. Falls back to dark brown.
+ */
+export function sampleHairColor(frame, kp) {
+    const sum = [0, 0, 0];
+    let count = 0;
+    [...CONTOURS.leftEyebrow, ...CONTOURS.rightEyebrow].forEach(i => {
+        const cx = Math.round(kp[i].x), cy = Math.round(kp[i].y);
+        for (let y = cy - 1; y <= cy + 1; y++) {
+            for (let x = cx - 1; x <= cx + 1; x++) {
+                if (x < 0 || y < 0 || x >= frame.width || y >= frame.height) continue;
+                const o = (y * frame.width + x) * 4;
+                sum[0] += frame.data[o]; sum[1] += frame.data[o + 1]; sum[2] += frame.data[o + 2];
+                count++;
+            }
+        }
+    });
+    if (count === 0) return [43, 29, 20];
+    return sum.map(v => Math.round(v / count * 0.75));
+}
+
+function drawHair(ctx, kp, template, color, blur) {
+    ctx.save();
+    ctx.filter = `blur(${blur}px)`;
+    ctx.fillStyle = hairPattern(ctx, color);
+    smoothPath(ctx, templatePoints(kp, template));
+    ctx.fill();
+    ctx.restore();
+}
+
+function lensPath(ctx, cx, style, side) {
+    const w = style.width / 2, h = style.height / 2;
+    ctx.beginPath();
+    if (style.teardrop) {
+        // Flat top, lower bulge towards the outer side, mirrored per lens
+        const inner = -side, outer = side;
+        ctx.moveTo(cx + inner * w, -h * 0.7);
+        ctx.quadraticCurveTo(cx, -h * 1.05, cx + outer * w, -h * 0.75);
+        ctx.bezierCurveTo(cx + outer * w * 1.1, h * 0.3, cx + outer * w * 0.4, h * 1.1, cx, h);
+        ctx.bezierCurveTo(cx + inner * w * 0.7, h * 0.9, cx + inner * w * 1.05, h * 0.1, cx + inner * w, -h * 0.7);
+    } else {
+        ctx.roundRect(cx - w, -h, w * 2, h * 2, style.radius);
+    }
+    ctx.closePath();
+}
+
+function drawGlasses(ctx, kp, style) {
+    const mid = (a, b) => [(kp[a].x + kp[b].x) / 2, (kp[a].y + kp[b].y) / 2];
+    const left = mid(33, 133), right = mid(362, 263);
+    const span = Math.hypot(right[0] - left[0], right[1] - left[1]) || 1;
+    const angle = Math.atan2(right[1] - left[1], right[0] - left[0]);
+    const center = [(left[0] + right[0]) / 2, (left[1] + right[1]) / 2];
+    const toWorld = (x, y) => [
+        center[0] + (x * Math.cos(angle) - y * Math.sin(angle)) * span,
+        center[1] + (x * Math.sin(angle) + y * Math.cos(angle)) * span
+    ];
+
+    ctx.save();
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = style.frame;
+
+    // Temples first, from the outer lens edge to the face edge
+    ctx.lineWidth = span * 0.04;
+    [[-1, 234], [1, 454]].forEach(([side, ear]) => {
+        const [x, y] = toWorld(side * (0.5 + style.width / 2), -0.05);
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(kp[ear].x, kp[ear].y);
+        ctx.stroke();
+    });
+
+    ctx.translate(center[0], center[1]);
+    ctx.rotate(angle);
+    ctx.scale(span, span);
+    ctx.lineWidth = 0.045;
+    [-1, 1].forEach(side => {
+        lensPath(ctx, side * 0.5, style, side);
+        ctx.fillStyle = style.lens;
+        ctx.fill();
+        ctx.stroke();
+    });
+
+    // Bridge
+    const inner = 0.5 - style.width / 2;
+    ctx.beginPath();
+    ctx.moveTo(-inner, -0.08);
+    ctx.quadraticCurveTo(0, -0.18, inner, -0.08);
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Draws the chosen styles for `face` on `ctx`. `options` = { beard, moustache,
+ * glasses, opacity } with style ids from TRY_ON_STYLES ('none' = off).
+ * `frame` (ImageData) is only used to pick the hair colour.
+ */
+export function drawTryOn(ctx, face, frame, options = DEFAULT_TRY_ON) {
+    const kp = toKeypoints(face);
+    if (!kp || kp.length < 468) return;
+    const { beard, moustache, glasses, opacity } = { ...DEFAULT_TRY_ON, ...options };
+    const color = frame ? sampleHairColor(frame, kp) : [43, 29, 20];
+    const blur = Math.max(0.5, faceAxes(kp).width * 0.004);
+
+    ctx.save();
+    ctx.globalAlpha = Math.max(0, Math.min(1, opacity));
+    if (BEARDS[beard]) drawHair(ctx, kp, BEARDS[beard], color, blur);
+    if (MOUSTACHES[moustache]) drawHair(ctx, kp, MOUSTACHES[moustache], color, blur);
+    if (GLASSES[glasses]) drawGlasses(ctx, kp, GLASSES[glasses]);
+    ctx.restore();
+}
@@ -0,0 +1,28 @@
+/**
+ * Small browser helpers shared by the UI modules
+ */
+
+// AI text goes into innerHTML in a few places, never trust it as markup
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => (
+        { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+}
+
+// Triggers a file download for a Blob or a data URL
+export function downloadFile(data, filename) {
+    const url = typeof data === 'string' ? data : URL.createObjectURL(data);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    if (typeof data !== 'string') setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// "2026-10-19_14-05" style stamp for file names
+export function fileStamp(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}-${pad(date.getMinutes())}`;
+}
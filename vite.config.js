@@ -1,12 +1,97 @@
-import { defineConfig } from 'vite';
-
-export default defineConfig({
-  // Base config
-  server: {
-    open: true
-  },
-  build: {
-    outDir: 'dist',
-    assetsDir: 'assets'
+import { defineConfig, loadEnv } from 'vite';
+import { createHash } from 'node:crypto';
+import { readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+
+// public/ files as URL paths (manifest, icons, downloaded models)
+async function listPublic(dir, prefix = '') {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
   }
+  const files = await Promise.all(entries.map(entry => entry.isDirectory()
+    ? listPublic(path.join(dir, entry.name), `${prefix}/${entry.name}`)
+    : [`${prefix}/${entry.name}`]));
+  return files.flat();
+}
+
+// Emits dist/sw.js from serviceWorker.js with the precache list of this build
+function serviceWorker() {
+  let publicDir;
+  return {
+    name: 'face-architect-sw',
+    apply: 'build',
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+    async generateBundle(options, bundle) {
+      // Fonts: only the latin woff2 files up front, other subsets get cached when used
+      const files = ['/', ...Object.keys(bundle).map(file => `/${file}`), ...await listPublic(publicDir)]
+        .filter(file => file !== '/index.html')
+        .filter(file => !/\.woff2?$/.test(file) || /inter-latin-\d+-normal-.*\.woff2$/.test(file));
+      const template = await readFile(path.resolve('serviceWorker.js'), 'utf8');
+
+      // Version from the contents, not the names: public/ files keep their name
+      // when edited (manifest, icons, refetched models) and must still bust the cache
+      const hash = createHash('sha256').update(template);
+      Object.values(bundle).forEach(item => hash.update(item.fileName).update(item.type === 'chunk' ? item.code : item.source));
+      for (const file of await listPublic(publicDir)) {
+        hash.update(file).update(await readFile(path.join(publicDir, file)));
+      }
+      const version = hash.digest('hex').slice(0, 10);
+
+      const source = template
+        .replace('__CACHE_VERSION__', version)
+        .replace('__PRECACHE__', JSON.stringify(files, null, 2));
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    }
+  };
+}
+
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), '');
+  // Express server the dev proxy forwards /api to (see server.js)
+  const apiTarget = env.API_PROXY_TARGET || `http://localhost:${env.PORT || 3000}`;
+  const apiProxy = {
+    '/api': {
+      target: apiTarget,
+      changeOrigin: true,
+      // Proxied calls are same-origin for the browser, so they skip the CORS allow-list
+      configure: proxy => proxy.on('proxyReq', req => req.removeHeader('origin'))
+    }
+  };
+
+  return {
+    plugins: [serviceWorker()],
+    // Base config
+    server: {
+      open: true,
+      // Reachable from a phone on the LAN; /api stays same-origin through the proxy
+      host: true,
+      proxy: apiProxy
+    },
+    preview: {
+      proxy: apiProxy
+    },
+    build: {
+      outDir: 'dist',
+      assetsDir: 'assets',
+      // TF.js + detector in their own chunk: large, but rarely changes between deploys
+      chunkSizeWarningLimit: 1600,
+      rollupOptions: {
+        output: {
+          manualChunks: {
+            tfjs: [
+              '@tensorflow/tfjs-core',
+              '@tensorflow/tfjs-converter',
+              '@tensorflow/tfjs-backend-webgl',
+              '@tensorflow-models/face-landmarks-detection'
+            ]
+          }
+        }
+      }
+    }
+  };
 });